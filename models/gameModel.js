@@ -1,4 +1,6 @@
 // models/gameModel.js
+// In-memory master games object, shared by sockets/index.js and the REST API:
+// games[gameId] = { rooms: {...}, activeRooms: {...}, id, io, etc. }
 const games = {};
 
 module.exports = games;
@@ -0,0 +1,80 @@
+// models/jsonStore.js
+// Tiny embedded persistence: one JSON file per store under DATA_DIR.
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
+/** Writes are batched so a burst of updates costs one disk write */
+const SAVE_DELAY_MS = 200;
+
+/**
+ * Create a store backed by DATA_DIR/<fileName>.
+ *
+ * store.data is loaded lazily on first access (or defaultData() if the
+ * file doesn't exist yet); call store.save() after mutating it. A file
+ * that can't be read is moved aside to <fileName>.corrupt-<timestamp>
+ * rather than overwritten; if even that fails, nothing is saved.
+ */
+function createJsonStore(fileName, defaultData) {
+  const filePath = path.join(DATA_DIR, fileName);
+  let data = null;
+  let saveTimer = null;
+  let readOnly = false;
+
+  function load() {
+    if (data) return data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error(`[Server] Could not read ${filePath}:`, err.message);
+        moveAside();
+      }
+      data = defaultData();
+    }
+    return data;
+  }
+
+  function moveAside() {
+    const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+    try {
+      fs.renameSync(filePath, corruptPath);
+      console.error(`[Server] Moved ${filePath} aside to ${corruptPath}`);
+    } catch (err) {
+      readOnly = true;
+      console.error(
+        `[Server] Could not move ${filePath} aside, not saving it:`,
+        err.message
+      );
+    }
+  }
+
+  function writeNow() {
+    saveTimer = null;
+    if (readOnly) return;
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      // Write then rename so a crash never leaves a half-written file
+      fs.writeFileSync(tmpPath, JSON.stringify(data));
+      fs.renameSync(tmpPath, filePath);
+    } catch (err) {
+      console.error(`[Server] Could not write ${filePath}:`, err.message);
+    }
+  }
+
+  function save() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(writeNow, SAVE_DELAY_MS);
+  }
+
+  return {
+    get data() {
+      return load();
+    },
+    save,
+  };
+}
+
+module.exports = { createJsonStore, DATA_DIR };
@@ -0,0 +1,44 @@
+// models/matchModel.js
+// Finished matches, persisted to data/matches.json
+const crypto = require("crypto");
+const { createJsonStore } = require("./jsonStore");
+
+const store = createJsonStore("matches.json", () => ({ matches: [] }));
+
+/**
+ * Persist a finished match record and return it (with an id).
+ *
+ * record = { gameId, gameName, roomId, roomName, startedAt, endedAt,
+ *            durationMs, participants: [{ playerId, userName, isWinner }],
+ *            winner, winnerId, details }
+ */
+function recordMatch(record) {
+  const match = { id: crypto.randomUUID(), ...record };
+  store.data.matches.push(match);
+  store.save();
+  return match;
+}
+
+/**
+ * Matches a player took part in, newest first.
+ */
+function getPlayerHistory(playerId, { gameId, limit = 20 } = {}) {
+  return store.data.matches
+    .filter(
+      (m) =>
+        m.participants.some((p) => p.playerId === playerId) &&
+        (gameId === undefined || m.gameId === Number(gameId))
+    )
+    .sort((a, b) => b.endedAt - a.endedAt)
+    .slice(0, limit);
+}
+
+function getAllMatches() {
+  return store.data.matches;
+}
+
+module.exports = {
+  recordMatch,
+  getPlayerHistory,
+  getAllMatches,
+};
@@ -0,0 +1,67 @@
+// models/moderationModel.js
+// Per-user mute/block lists and admin mutes, persisted to data/moderation.json
+const { createJsonStore } = require("./jsonStore");
+
+const store = createJsonStore("moderation.json", () => ({
+  mutes: {},
+  blocks: {},
+  serverMutes: {},
+}));
+
+/**
+ * mutes[userId] / blocks[userId] = [targetUserId]
+ */
+function getList(kind, userId) {
+  return store.data[kind][userId] || [];
+}
+
+function addToList(kind, userId, targetUserId) {
+  const list = getList(kind, userId);
+  if (list.includes(targetUserId)) return;
+  store.data[kind][userId] = [...list, targetUserId];
+  store.save();
+}
+
+function removeFromList(kind, userId, targetUserId) {
+  const list = getList(kind, userId);
+  if (!list.includes(targetUserId)) return;
+  store.data[kind][userId] = list.filter((id) => id !== targetUserId);
+  store.save();
+}
+
+/**
+ * Users whose lists contain targetUserId.
+ */
+function findListOwners(kind, targetUserId) {
+  return Object.entries(store.data[kind])
+    .filter(([, list]) => list.includes(targetUserId))
+    .map(([userId]) => userId);
+}
+
+/**
+ * serverMutes[userId] = { userId, until, reason, mutedBy }
+ */
+function getServerMute(userId) {
+  return store.data.serverMutes[userId] || null;
+}
+
+function setServerMute(entry) {
+  store.data.serverMutes[entry.userId] = entry;
+  store.save();
+}
+
+function clearServerMute(userId) {
+  if (!store.data.serverMutes[userId]) return;
+  delete store.data.serverMutes[userId];
+  store.save();
+}
+
+module.exports = {
+  getList,
+  addToList,
+  removeFromList,
+  findListOwners,
+  getServerMute,
+  setServerMute,
+  clearServerMute,
+};
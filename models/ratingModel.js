@@ -0,0 +1,32 @@
+// models/ratingModel.js
+// Per-game player ratings, persisted to data/ratings.json
+const { createJsonStore } = require("./jsonStore");
+
+const store = createJsonStore("ratings.json", () => ({ ratings: {} }));
+
+/**
+ * ratings[gameId][playerId] =
+ *   { playerId, userName, rating, matches, wins, losses, updatedAt }
+ */
+function getGameRatings(gameId) {
+  const ratings = store.data.ratings;
+  if (!ratings[gameId]) {
+    ratings[gameId] = {};
+  }
+  return ratings[gameId];
+}
+
+function getRating(gameId, playerId) {
+  return getGameRatings(gameId)[playerId] || null;
+}
+
+function setRating(gameId, entry) {
+  getGameRatings(gameId)[entry.playerId] = entry;
+  store.save();
+}
+
+module.exports = {
+  getGameRatings,
+  getRating,
+  setRating,
+};
@@ -0,0 +1,43 @@
+// models/userModel.js
+// Registered accounts, persisted to data/users.json
+const crypto = require("crypto");
+const { createJsonStore } = require("./jsonStore");
+
+const store = createJsonStore("users.json", () => ({ users: {} }));
+
+/**
+ * users[userId] = { userId, userName, passwordHash, createdAt }
+ */
+function findUserById(userId) {
+  return store.data.users[userId] || null;
+}
+
+/**
+ * Names are unique case-insensitively.
+ */
+function findUserByName(userName) {
+  const wanted = String(userName).toLowerCase();
+  return (
+    Object.values(store.data.users).find(
+      (u) => u.userName.toLowerCase() === wanted
+    ) || null
+  );
+}
+
+function createUser({ userName, passwordHash }) {
+  const user = {
+    userId: crypto.randomUUID(),
+    userName,
+    passwordHash,
+    createdAt: Date.now(),
+  };
+  store.data.users[user.userId] = user;
+  store.save();
+  return user;
+}
+
+module.exports = {
+  findUserById,
+  findUserByName,
+  createUser,
+};
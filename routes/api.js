@@ -0,0 +1,124 @@
+// routes/api.js
+// JSON endpoints exposing the live games/rooms state kept by sockets/index.js
+const express = require("express");
+const router = express.Router();
+
+const games = require("../models/gameModel");
+const { listGames, getGameDescriptor } = require("../utils/gameRegistry");
+const { serializeRoom, isListedRoom } = require("../utils/gameUtils");
+const { getLeaderboard } = require("../utils/ratingUtils");
+const { ERROR_CODES } = require("../utils/errorCodes");
+const { getRateLimitStats } = require("../utils/rateLimiter");
+
+const MAX_LEADERBOARD_LIMIT = 100;
+
+/**
+ * Live state for a game, or an empty one if nobody has touched it yet.
+ * (Read-only: unlike getGame() this never creates entries.)
+ */
+function getLiveGame(gameId) {
+  return games[gameId] || { rooms: {}, activeRooms: {} };
+}
+
+function countPlayers(rooms) {
+  return Object.values(rooms).reduce((sum, r) => sum + r.players.length, 0);
+}
+
+// List every registered game with lobby/active counts
+router.get("/games", (req, res) => {
+  const result = listGames().map((descriptor) => {
+    const game = getLiveGame(descriptor.id);
+    return {
+      id: descriptor.id,
+      name: descriptor.name,
+      minPlayers: descriptor.minPlayers,
+      maxPlayers: descriptor.maxPlayers,
+      lobbyRoomCount: Object.values(game.rooms).filter(isListedRoom).length,
+      activeRoomCount: Object.keys(game.activeRooms || {}).length,
+      playerCount:
+        countPlayers(game.rooms) + countPlayers(game.activeRooms || {}),
+    };
+  });
+  res.json(result);
+});
+
+// Validate :gameId once for every /games/:gameId/* route
+router.param("gameId", (req, res, next, gameId) => {
+  const descriptor = getGameDescriptor(gameId);
+  if (!descriptor) {
+    return res.status(404).json({ error: `Game ${gameId} not found` });
+  }
+  req.gameId = descriptor.id;
+  next();
+});
+
+// Public lobby rooms for a game (unlisted/private rooms are hidden)
+router.get("/games/:gameId/rooms", (req, res) => {
+  const game = getLiveGame(req.gameId);
+  res.json(
+    Object.values(game.rooms)
+      .filter(isListedRoom)
+      .map((room) => serializeRoom(req.gameId, room))
+  );
+});
+
+// Active public matches for a game
+router.get("/games/:gameId/active", (req, res) => {
+  const game = getLiveGame(req.gameId);
+  res.json(
+    Object.values(game.activeRooms || {})
+      .filter(isListedRoom)
+      .map((room) => serializeRoom(req.gameId, room))
+  );
+});
+
+// Rating leaderboard for a game: GET /api/games/2/leaderboard?limit=10
+router.get("/games/:gameId/leaderboard", (req, res) => {
+  const limit = Math.min(
+    parseInt(req.query.limit, 10) || 10,
+    MAX_LEADERBOARD_LIMIT
+  );
+  res.json(getLeaderboard(req.gameId, limit));
+});
+
+// A single room, looked up across every game (lobby first, then active).
+// Unlisted and private rooms are only found with ?inviteCode=
+router.get("/rooms/:roomId", (req, res) => {
+  const { roomId } = req.params;
+  const { inviteCode } = req.query;
+  const code =
+    typeof inviteCode === "string" ? inviteCode.trim().toUpperCase() : "";
+  for (const [gameId, game] of Object.entries(games)) {
+    const room = game.rooms[roomId] || (game.activeRooms || {})[roomId];
+    if (room && (isListedRoom(room) || code === room.inviteCode)) {
+      return res.json(serializeRoom(gameId, room));
+    }
+  }
+  res.status(404).json({ error: `Room ${roomId} not found` });
+});
+
+// Socket ack error codes with their default messages, for localisation
+router.get("/errors", (req, res) => {
+  res.json(ERROR_CODES);
+});
+
+// Rate limits (core and per game) with allowed/dropped/coalesced counters
+router.get("/rate-limits", (req, res) => {
+  res.json({
+    ...getRateLimitStats(),
+    games: Object.fromEntries(
+      listGames().map((descriptor) => [
+        descriptor.id,
+        descriptor.rateLimits || {},
+      ])
+    ),
+  });
+});
+
+// Match history and player stats
+router.use("/players", require("./players"));
+
+// Register / login / guest tokens
+router.use("/auth", require("./auth"));
+
+module.exports = router;
@@ -0,0 +1,88 @@
+// routes/auth.js
+// Register / login / guest endpoints issuing signed identity tokens
+const express = require("express");
+const router = express.Router();
+
+const {
+  hashPassword,
+  verifyPassword,
+  createGuestIdentity,
+  issueIdentityToken,
+} = require("../utils/authUtils");
+const { findUserByName, createUser } = require("../models/userModel");
+const { validateUserName } = require("../utils/moderationUtils");
+const { limitRequests } = require("../utils/rateLimiter");
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Each attempt costs a password hash; a handful per IP, then one per 5s
+const limitPasswordAttempts = limitRequests("auth", {
+  ratePerSec: 0.2,
+  burst: 5,
+});
+
+function toIdentity(user) {
+  return { userId: user.userId, userName: user.userName, isGuest: false };
+}
+
+// POST /api/auth/register { userName, password }
+router.post("/register", limitPasswordAttempts, async (req, res, next) => {
+  const { userName, password } = req.body || {};
+  const nameError = validateUserName(userName);
+  if (nameError) {
+    return res.status(400).json({ error: nameError });
+  }
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`,
+    });
+  }
+  if (findUserByName(userName)) {
+    return res.status(409).json({ error: "User name is already taken." });
+  }
+
+  let passwordHash;
+  try {
+    passwordHash = await hashPassword(password);
+  } catch (err) {
+    return next(err);
+  }
+  // The name may have been taken while hashing
+  if (findUserByName(userName)) {
+    return res.status(409).json({ error: "User name is already taken." });
+  }
+
+  const user = createUser({ userName, passwordHash });
+  const identity = toIdentity(user);
+  console.log(`[Server] Registered user ${user.userName} (${user.userId})`);
+  res.status(201).json({ token: issueIdentityToken(identity), user: identity });
+});
+
+// POST /api/auth/login { userName, password }
+router.post("/login", limitPasswordAttempts, async (req, res, next) => {
+  const { userName, password } = req.body || {};
+  const user = typeof userName === "string" ? findUserByName(userName) : null;
+  let valid = false;
+  try {
+    valid =
+      !!user &&
+      typeof password === "string" &&
+      (await verifyPassword(password, user.passwordHash));
+  } catch (err) {
+    return next(err);
+  }
+  if (!valid) {
+    return res.status(401).json({ error: "Invalid user name or password." });
+  }
+
+  const identity = toIdentity(user);
+  res.json({ token: issueIdentityToken(identity), user: identity });
+});
+
+// POST /api/auth/guest -> a generated guest identity
+router.post("/guest", (req, res) => {
+  const identity = createGuestIdentity();
+  res.json({ token: issueIdentityToken(identity), user: identity });
+});
+
+module.exports = router;
@@ -17,4 +17,7 @@ router.get("/", (req, res) => {
   `);
 });
 
+// JSON API (games, lobby rooms, active matches)
+router.use("/api", require("./api"));
+
 module.exports = router;
@@ -0,0 +1,26 @@
+// routes/players.js
+// Match history and aggregate stats per player
+const express = require("express");
+const router = express.Router();
+
+const { getPlayerHistory } = require("../models/matchModel");
+const { getPlayerStats } = require("../utils/matchUtils");
+
+const MAX_HISTORY_LIMIT = 100;
+
+// GET /api/players/:playerId/history?gameId=2&limit=20
+router.get("/:playerId/history", (req, res) => {
+  const { gameId } = req.query;
+  const limit = Math.min(
+    parseInt(req.query.limit, 10) || 20,
+    MAX_HISTORY_LIMIT
+  );
+  res.json(getPlayerHistory(req.params.playerId, { gameId, limit }));
+});
+
+// GET /api/players/:playerId/stats
+router.get("/:playerId/stats", (req, res) => {
+  res.json(getPlayerStats(req.params.playerId));
+});
+
+module.exports = router;
@@ -20,6 +20,7 @@ const io = new Server(httpServer, {
 app.use(
   cors({ origin: "*", methods: ["GET", "POST", "OPTIONS"], credentials: false })
 );
+app.use(express.json());
 
 // Routes
 const routes = require("./routes");
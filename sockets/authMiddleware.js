@@ -0,0 +1,39 @@
+/************************************
+ * sockets/authMiddleware.js
+ ************************************/
+const {
+  identityFromToken,
+  createGuestIdentity,
+  issueIdentityToken,
+} = require("../utils/authUtils");
+
+/**
+ * Socket.IO middleware: verify the token sent in the handshake
+ * (`io(url, { auth: { token } })`) and attach the identity as
+ * socket.data.user = { userId, userName, isGuest }.
+ *
+ * Sockets without a token become guests with a generated name; they get
+ * a guest token in the "identity" event so a reconnect keeps the same id.
+ */
+function authMiddleware(socket, next) {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+
+  if (token) {
+    const identity = identityFromToken(token);
+    if (!identity) {
+      console.log(`[Server] Rejected socket ${socket.id}: invalid token`);
+      return next(new Error("Invalid or expired token"));
+    }
+    socket.data.user = identity;
+    socket.data.token = token;
+  } else {
+    const identity = createGuestIdentity();
+    socket.data.user = identity;
+    socket.data.token = issueIdentityToken(identity);
+  }
+
+  socket.userName = socket.data.user.userName;
+  next();
+}
+
+module.exports = authMiddleware;
@@ -0,0 +1,115 @@
+/************************************
+ * sockets/eventSchemas.js
+ ************************************/
+const { ROOM_VISIBILITIES } = require("../utils/gameUtils");
+const { CHAT_SCOPES, MAX_MESSAGE_LENGTH } = require("../utils/chatUtils");
+
+/**
+ * Payload schemas for the core socket events (see utils/eventUtils.js
+ * for the format). Game-specific events declare theirs in the game
+ * descriptor's `eventSchemas`.
+ */
+const MAX_ROOM_NAME_LENGTH = 40;
+const MAX_ROOM_PASSWORD_LENGTH = 64;
+
+const gameId = { type: "id", required: true };
+const roomId = { type: "string", required: true, maxLength: 32 };
+const userId = { type: "string", required: true, maxLength: 64 };
+const inviteCode = { type: "string", maxLength: 16 };
+const password = { type: "string", maxLength: MAX_ROOM_PASSWORD_LENGTH };
+
+function object(properties) {
+  return { type: "object", properties };
+}
+
+/** { gameId, roomId } addresses a room in most room events */
+const roomRef = object({ gameId, roomId });
+
+const EVENT_SCHEMAS = {
+  "user name": { type: "string", maxLength: 64 },
+  resumeSession: object({
+    sessionToken: { type: "string", required: true, maxLength: 128 },
+  }),
+
+  // A bare string is a global message (the original protocol)
+  "chat message": {
+    type: ["string", "object"],
+    required: true,
+    maxLength: MAX_MESSAGE_LENGTH,
+    properties: {
+      scope: { type: "string", enum: CHAT_SCOPES },
+      gameId: { type: "id" },
+      roomId: { type: "string", maxLength: 32 },
+      text: { type: "string", required: true, maxLength: MAX_MESSAGE_LENGTH },
+    },
+  },
+  muteUser: object({ userId }),
+  unmuteUser: object({ userId }),
+  blockUser: object({ userId }),
+  unblockUser: object({ userId }),
+  requestModerationLists: null,
+  adminMute: object({
+    userId,
+    durationSeconds: { type: "integer", required: true, min: 1 },
+    reason: { type: "string", maxLength: 200 },
+  }),
+  adminUnmute: object({ userId }),
+
+  requestLeaderboard: object({
+    gameId,
+    limit: { type: "integer", min: 1, max: 100 },
+  }),
+  requestRooms: gameId,
+  queueForGame: object({
+    gameId,
+    preferredSize: { type: "integer", min: 1 },
+  }),
+  leaveQueue: null,
+
+  createRoom: object({
+    gameId,
+    name: { type: "string", maxLength: MAX_ROOM_NAME_LENGTH },
+    visibility: { type: "string", enum: ROOM_VISIBILITIES },
+    password,
+  }),
+  joinRoom: object({
+    gameId,
+    roomId: { ...roomId, required: false },
+    inviteCode,
+    password,
+  }),
+  leaveRoom: roomRef,
+  updateRoomSettings: object({
+    gameId,
+    roomId,
+    settings: {
+      type: "object",
+      required: true,
+      properties: {
+        name: { type: "string", maxLength: MAX_ROOM_NAME_LENGTH },
+        maxPlayers: { type: "integer" },
+        // Checked by the game's validateOptions hook
+        options: { type: "object" },
+      },
+    },
+  }),
+  kickPlayer: object({ gameId, roomId, playerId: userId }),
+  startGame: roomRef,
+  spectateRoom: object({ gameId, roomId, inviteCode, password }),
+  stopSpectating: null,
+  toggleReady: object({
+    gameId,
+    roomId,
+    isReady: { type: "boolean", required: true },
+  }),
+
+  joinGameChannel: object({ gameId, roomId, inviteCode, password }),
+  requestGameState: roomRef,
+  endGame: roomRef,
+  forceLeaveGame: roomRef,
+};
+
+module.exports = {
+  EVENT_SCHEMAS,
+  roomRef,
+};
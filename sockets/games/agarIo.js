@@ -2,12 +2,106 @@
  * sockets/games/agarIo.js
  ************************************/
 
-/** Dimensions of the world */
-const WORLD_WIDTH = 1080;
-const WORLD_HEIGHT = 1080;
+const {
+  setMatchWinner,
+  recordFinishedMatch,
+} = require("../../utils/matchUtils");
+const { ROOM_STATES, transitionRoom } = require("../../utils/gameUtils");
+const { postSystemMessage } = require("../../utils/chatUtils");
+const { GameError } = require("../../utils/errorCodes");
+const {
+  BASE_SPEED,
+  MOVE_DIRECTIONS,
+  resetInputSeq,
+  resetMovement,
+  applyInput,
+  updatePlayerIndex,
+  integratePlayers,
+} = require("./agarIo/movement");
+const {
+  indexBullets,
+  sendSnapshots,
+  acknowledgeSnapshot,
+  emitToInterested,
+} = require("./agarIo/snapshots");
+const WIRE_SCHEMAS = require("./agarIo/wireSchemas");
+const {
+  getRewindTicks,
+  recordFrame,
+  findHitCandidates,
+} = require("./agarIo/lagCompensation");
+const { getRoundTripMs } = require("../../utils/latencyUtils");
+const {
+  DEFAULT_WEAPON,
+  validateWeaponOptions,
+  resolveWeapon,
+  resetWeapon,
+  regenerateEnergy,
+  startCharge,
+  fireWeapon,
+  describeWeapon,
+} = require("./agarIo/weapons");
+const {
+  START_MASS,
+  initClassic,
+  splitPlayer,
+  ejectMass,
+  updateClassic,
+} = require("./agarIo/classic");
+const {
+  validateMatchOptions,
+  resetHealth,
+  isInvulnerable,
+  applyBulletDamage,
+  scheduleRespawn,
+  findSafeSpawn,
+  respawnDuePlayers,
+  initScoreboard,
+  recordScore,
+  rankScores,
+  findScoreLeader,
+} = require("./agarIo/combat");
+const {
+  validateZoneOptions,
+  initZone,
+  updateZone,
+  damageOutsideZone,
+  describeZone,
+} = require("./agarIo/zone");
+const {
+  DEFAULT_MAP,
+  getMap,
+  listMapIds,
+  describeMap,
+} = require("./agarIo/maps");
+const { indexWalls, sweepHitsWall } = require("./agarIo/walls");
+const {
+  DEFAULT_POWER_UPS,
+  validatePowerUpOptions,
+  resetPowerUps,
+  initPowerUps,
+  updatePowerUps,
+  describeEffects,
+} = require("./agarIo/powerUps");
 
-/** Server update rate in milliseconds */
-const TICK_RATE = 45; // ~60 FPS updates
+/**
+ * Rule sets a room can pick (host option `mode`): "shooter" is one-shot
+ * bullets, "classic" is food, growing and eating (./agarIo/classic.js)
+ */
+const GAME_MODES = ["shooter", "classic"];
+
+/** Bullet types a room may allow (host option `bulletTypes`) */
+const BULLET_TYPES = ["charged", "fullyCharged"];
+
+/** Server ticks per second; movement and bullets advance once per tick */
+const TICK_RATE = 45;
+
+/**
+ * The map the room's host picked (host option `map`, see ./agarIo/maps.js)
+ */
+function roomMapId(room) {
+  return (room.options && room.options.map) || DEFAULT_MAP;
+}
 
 // We'll dynamically load RBush:
 let RBush;
@@ -16,8 +110,24 @@ let RBush;
   RBush = rbushModule.default;
 })();
 
-function clamp(value, min, max) {
-  return Math.max(min, Math.min(max, value));
+/**
+ * The sender's live player in an active room; throws otherwise. With
+ * `mode`, the room must be playing that rule set.
+ */
+function getActivePlayer(games, gameId, roomId, socket, mode) {
+  const room = games[gameId].activeRooms[roomId];
+  if (!room || !room.playersMap) throw new GameError("GAME_NOT_ACTIVE");
+
+  const player = room.playersMap.get(socket.id);
+  if (!player) throw new GameError("NOT_IN_ROOM");
+  if (player.isDead) throw new GameError("PLAYER_ELIMINATED");
+  if (mode && room.mode !== mode) {
+    throw new GameError(
+      "WRONG_GAME_MODE",
+      `That is only available in ${mode} mode.`
+    );
+  }
+  return { room, player };
 }
 
 /**
@@ -38,40 +148,76 @@ async function startAgarIoRoom(game, room, games) {
     `[Server] startAgarIoRoom (Agar.io) -> Setting initial positions for roomId=${room.id}`
   );
 
+  room.tick = 0;
+  room.mode = (room.options && room.options.mode) || "shooter";
+  // How the round ends (./agarIo/combat.js)
+  room.matchType =
+    (room.options && room.options.matchType) || "lastManStanding";
+  room.endTick =
+    room.matchType === "deathmatch"
+      ? Math.round(room.options.durationSec * TICK_RATE)
+      : null;
+  // Weapon rules for this round (./agarIo/weapons.js)
+  room.weapon = resolveWeapon(room.options);
+  // World size, walls and spawn points (./agarIo/maps.js)
+  room.map = getMap(roomMapId(room)) || getMap(DEFAULT_MAP);
+  room.worldSize = { width: room.map.width, height: room.map.height };
+  indexWalls(room, RBush, room.map.walls);
+
   // Initialize players as a Map for O(1) access
   room.playersMap = new Map();
   room.alivePlayers = new Set();
 
-  room.players.forEach((player) => {
-    player.x = Math.floor(Math.random() * WORLD_WIDTH);
-    player.y = Math.floor(Math.random() * WORLD_HEIGHT);
-    player.mass = 10;
+  room.players.forEach((player, index) => {
+    // Compact id for the wire; unlike socketId it survives reconnects
+    player.netId = index + 1;
+    const { x, y } = findSafeSpawn(room, START_MASS);
+    player.x = x;
+    player.y = y;
+    player.mass = START_MASS;
     player.isDead = false;
-    player.lastDx = 0;
-    player.lastDy = 0;
+    resetMovement(player);
+    resetWeapon(player, room.weapon);
+    resetHealth(room, player, TICK_RATE);
+    resetPowerUps(player);
 
     room.playersMap.set(player.socketId, player);
     room.alivePlayers.add(player.socketId);
   });
 
-  // No food in this variant
-
   // Initialize bullets array and object pool
   room.bullets = [];
   room.bulletIdCounter = 1;
   room.bulletPool = [];
 
+  // Kill feed, kept for the match history
+  room.kills = [];
+  initScoreboard(room);
+
   // Initialize spatial index
   room.playerSpatialIndex = new RBush();
-  room.playersMap.forEach((player) => {
-    room.playerSpatialIndex.insert({
-      minX: player.x - player.mass,
-      minY: player.y - player.mass,
-      maxX: player.x + player.mass,
-      maxY: player.y + player.mass,
-      player,
-    });
-  });
+  room.playersMap.forEach((player) => updatePlayerIndex(room, player));
+  room.bulletSpatialIndex = new RBush();
+  // Per-client snapshot bookkeeping (see ./agarIo/snapshots.js)
+  room.viewers = new Map();
+  // Recent positions for lag-compensated hits (./agarIo/lagCompensation.js)
+  room.positionHistory = null;
+
+  // Food and split cells only exist in classic mode
+  room.food = null;
+  room.foodSpatialIndex = null;
+  room.cells = null;
+  room.cellSpatialIndex = null;
+  if (room.mode === "classic") {
+    initClassic(room, RBush, room.worldSize);
+  }
+  // Battle-royale rounds close in on the players (./agarIo/zone.js)
+  room.zone = null;
+  if (room.matchType === "battleRoyale") {
+    initZone(room, room.worldSize, TICK_RATE);
+  }
+  // Pickups and their timed effects (./agarIo/powerUps.js)
+  initPowerUps(room, RBush, TICK_RATE);
 
   // Clear any existing intervals
   if (room.bulletInterval) {
@@ -81,159 +227,145 @@ async function startAgarIoRoom(game, room, games) {
     );
   }
 
-  // Start the bullet update loop
+  // Start the game loop: fixed steps of 1/TICK_RATE seconds
   room.bulletInterval = setInterval(() => {
-    updateBullets(game, room, games);
+    room.tick++;
+    respawnDuePlayers(room, START_MASS, (player, position) =>
+      spawnPlayer(room, player, position)
+    );
+    integratePlayers(room, 1 / TICK_RATE, room.worldSize);
+    updatePowerUps(room, TICK_RATE);
+    recordFrame(room, RBush, TICK_RATE);
+    regenerateEnergy(room, 1 / TICK_RATE);
+    if (room.mode === "classic") {
+      updateClassic(room, {
+        dtSec: 1 / TICK_RATE,
+        tickRate: TICK_RATE,
+        worldSize: room.worldSize,
+        onEliminated: (victim, eater) =>
+          eliminatePlayer(game, room, victim, eater, { cause: "eaten" }),
+      });
+    }
+    if (room.zone) {
+      updateZone(room, TICK_RATE);
+      damageOutsideZone(room, 1 / TICK_RATE, (victim) =>
+        eliminatePlayer(game, room, victim, null, { cause: "zone" })
+      );
+    }
+    updateBullets(game, room);
+    indexBullets(room);
     broadcastGameState(game.io, game.id, room.id, room);
+    checkRoundOver(game, room, games);
   }, 1000 / TICK_RATE);
 
-  room.winner = null;
+  setMatchWinner(room, null);
   console.log(`[Server] Started game loop for roomId=${room.id}`);
 }
 
 /**
- * Broadcast the entire Agar.io room state (players + bullets).
+ * Send each client in the room its snapshot of the current tick: what
+ * is in its area of interest, as a delta against its last acknowledged
+ * snapshot or as a keyframe.
  */
 function broadcastGameState(io, gameId, roomId, room) {
-  if (!io) return;
-  const channel = `${gameId}-${roomId}`;
-
-  const alivePlayers = Array.from(room.alivePlayers).map((socketId) =>
-    room.playersMap.get(socketId)
-  );
-
-  const playersData = alivePlayers.map((p) => ({
-    socketId: p.socketId,
-    userName: p.userName,
-    x: p.x,
-    y: p.y,
-    mass: p.mass,
-  }));
-
-  const bulletsData = room.bullets.map((b) => ({
-    id: b.id,
-    ownerId: b.ownerId,
-    x: b.x,
-    y: b.y,
-    radius: b.radius,
-  }));
-
-  io.to(channel).emit("gameStateUpdate", {
-    roomId,
-    players: playersData,
-    bullets: bulletsData,
-    winner: room.winner || null,
-    worldSize: { width: WORLD_WIDTH, height: WORLD_HEIGHT },
+  if (!io || !room.viewers) return;
+
+  // players[].lastInputSeq is the newest input that position reflects,
+  // for client prediction/reconciliation
+  // The map itself was sent once, with gameStart
+  sendSnapshots(io, `${gameId}-${roomId}`, room, {
+    worldSize: room.worldSize,
+    wireSchemas: WIRE_SCHEMAS,
+    shared: {
+      roomId,
+      tickRate: TICK_RATE,
+      winner: room.winner || null,
+      matchType: room.matchType,
+      timeLeftMs:
+        room.endTick === null
+          ? null
+          : Math.max(
+              0,
+              Math.round(((room.endTick - room.tick) * 1000) / TICK_RATE)
+            ),
+      zone: room.zone ? describeZone(room, TICK_RATE) : null,
+    },
+    // Each player also sees its own weapon state (cooldown, energy), or
+    // when it comes back if it is waiting to respawn
+    describeViewer: (socketId) => {
+      const player = room.playersMap.get(socketId);
+      if (!player) return {};
+      if (!player.isDead) {
+        return {
+          weapon: describeWeapon(player, room.weapon),
+          effects: describeEffects(room, player, TICK_RATE),
+        };
+      }
+      return player.respawnTick === null
+        ? {}
+        : {
+            respawnInMs: Math.max(
+              0,
+              Math.round(((player.respawnTick - room.tick) * 1000) / TICK_RATE)
+            ),
+          };
+    },
   });
 }
 
 /**
- * Handle player movement from the client (Agar.io).
+ * The client applied the snapshot for `tick`; later deltas build on it.
  */
-function handlePlayerMove(io, games, data) {
-  const { gameId, roomId, socket, direction } = data;
-  const game = games[gameId];
-  if (!game) return;
-
-  const room = game.activeRooms[roomId] || game.rooms[roomId];
-  if (!room) return;
-
-  const player = room.playersMap?.get(socket.id);
-  if (!player || player.isDead) return;
-
-  const step = 4; // movement speed
-  let dx = 0;
-  let dy = 0;
-
-  switch (direction) {
-    case "up-left":
-      dx = -step;
-      dy = -step;
-      break;
-    case "up-right":
-      dx = step;
-      dy = -step;
-      break;
-    case "down-left":
-      dx = -step;
-      dy = step;
-      break;
-    case "down-right":
-      dx = step;
-      dy = step;
-      break;
-    case "up":
-      dy = -step;
-      break;
-    case "down":
-      dy = step;
-      break;
-    case "left":
-      dx = -step;
-      break;
-    case "right":
-      dx = step;
-      break;
-    default:
-      dx = 0;
-      dy = 0;
-  }
+function handleSnapshotAck(io, games, data) {
+  const { gameId, roomId, socket, tick } = data;
+  const room = games[gameId].activeRooms[roomId];
+  if (!room || !room.viewers) throw new GameError("GAME_NOT_ACTIVE");
 
-  const oldX = player.x;
-  const oldY = player.y;
-  player.x = clamp(player.x + dx, 0, WORLD_WIDTH);
-  player.y = clamp(player.y + dy, 0, WORLD_HEIGHT);
+  return { acknowledged: acknowledgeSnapshot(room, socket.id, tick) };
+}
 
-  if (dx !== 0 || dy !== 0) {
-    room.playerSpatialIndex.remove(
-      {
-        minX: oldX - player.mass,
-        minY: oldY - player.mass,
-        maxX: oldX + player.mass,
-        maxY: oldY + player.mass,
-        player,
-      },
-      (a, b) => a.player.socketId === b.player.socketId
-    );
-    room.playerSpatialIndex.insert({
-      minX: player.x - player.mass,
-      minY: player.y - player.mass,
-      maxX: player.x + player.mass,
-      maxY: player.y + player.mass,
-      player,
-    });
+/**
+ * Store the client's input state (Agar.io). The game loop moves the
+ * player; `seq` comes back as lastInputSeq in the snapshots.
+ */
+function handlePlayerMove(io, games, data) {
+  const { gameId, roomId, socket, direction, vector, seq } = data;
+  const { player } = getActivePlayer(games, gameId, roomId, socket);
 
-    // Store last direction for bullet logic
-    player.lastDx = dx;
-    player.lastDy = dy;
+  if (!direction && !vector) {
+    throw new GameError("INVALID_PAYLOAD", "direction or vector is required.");
   }
+  applyInput(player, { direction, vector, seq });
+}
 
-  broadcastGameState(io, gameId, roomId, room);
+/**
+ * Start charging the weapon; the next shot's type depends on how long
+ * ago this was.
+ */
+function handleChargeStart(io, games, data) {
+  const { gameId, roomId, socket } = data;
+  const { player } = getActivePlayer(games, gameId, roomId, socket, "shooter");
+  startCharge(player);
 }
 
 /**
- * Handle shooting bullets (Agar.io).
+ * Handle shooting bullets (Agar.io). The server picks the bullet type
+ * from the measured charge and enforces cooldown and energy.
  */
 function handleShootBullet(io, games, data) {
-  const { gameId, roomId, socket, bulletType, direction } = data;
+  const { gameId, roomId, socket, direction } = data;
   const game = games[gameId];
-  if (!game) return;
-
-  const room = game.activeRooms[roomId] || game.rooms[roomId];
-  if (!room) return;
-
-  const player = room.playersMap?.get(socket.id);
-  if (!player || player.isDead) return;
+  const { room, player } = getActivePlayer(
+    games,
+    gameId,
+    roomId,
+    socket,
+    "shooter"
+  );
 
-  // Basic validation
-  if (
-    !direction ||
-    typeof direction.x !== "number" ||
-    typeof direction.y !== "number" ||
-    !["charged", "fullyCharged"].includes(bulletType)
-  ) {
-    return; // Invalid data
-  }
+  const allowedTypes =
+    (room.options && room.options.bulletTypes) || BULLET_TYPES;
+  const { bulletType } = fireWeapon(player, room.weapon, allowedTypes);
 
   let speedValue, radius, rangeLimit;
   switch (bulletType) {
@@ -248,7 +380,7 @@ function handleShootBullet(io, games, data) {
       rangeLimit = Infinity;
       break;
     default:
-      return;
+      throw new GameError("BULLET_TYPE_NOT_ALLOWED");
   }
 
   // Normalize direction
@@ -257,11 +389,15 @@ function handleShootBullet(io, games, data) {
   const vx = (direction.x / length) * speedValue;
   const vy = (direction.y / length) * speedValue;
 
+  // Hits are judged against what the shooter saw when firing
+  const rewindTicks = getRewindTicks(room, getRoundTripMs(socket), TICK_RATE);
+
   let bullet;
   if (room.bulletPool.length > 0) {
     bullet = room.bulletPool.pop();
     bullet.id = room.bulletIdCounter++;
     bullet.ownerId = player.socketId;
+    bullet.ownerNetId = player.netId;
     bullet.x = player.x;
     bullet.y = player.y;
     bullet.vx = vx;
@@ -270,10 +406,13 @@ function handleShootBullet(io, games, data) {
     bullet.traveled = 0;
     bullet.rangeLimit = rangeLimit;
     bullet.type = bulletType;
+    bullet.rewindTicks = rewindTicks;
+    bullet.hitIds = null;
   } else {
     bullet = {
       id: room.bulletIdCounter++,
       ownerId: player.socketId,
+      ownerNetId: player.netId,
       x: player.x,
       y: player.y,
       vx,
@@ -282,18 +421,135 @@ function handleShootBullet(io, games, data) {
       traveled: 0,
       rangeLimit,
       type: bulletType,
+      rewindTicks,
+      hitIds: null,
     };
   }
+  // A piercing shot goes through players, hitting each one once
+  if (player.modifiers.piercing) bullet.hitIds = new Set();
 
   room.bullets.push(bullet);
 
-  io.to(`${game.id}-${room.id}`).emit("bulletCreated", bullet);
+  emitToInterested(io, `${game.id}-${room.id}`, room, room.worldSize, bullet, {
+    eventName: "bulletCreated",
+    payload: {
+      id: bullet.id,
+      ownerId: bullet.ownerId,
+      owner: bullet.ownerNetId,
+      x: bullet.x,
+      y: bullet.y,
+      vx: bullet.vx,
+      vy: bullet.vy,
+      radius: bullet.radius,
+      type: bullet.type,
+    },
+    wireSchemas: WIRE_SCHEMAS,
+  });
+  return { bulletId: bullet.id, bulletType };
+}
+
+/**
+ * Classic mode: split off half of the player's cell.
+ */
+function handleSplit(io, games, data) {
+  const { gameId, roomId, socket } = data;
+  const { room, player } = getActivePlayer(
+    games,
+    gameId,
+    roomId,
+    socket,
+    "classic"
+  );
+  const splitError = splitPlayer(room, player, TICK_RATE);
+  if (splitError) throw new GameError("CANNOT_SPLIT", splitError);
+}
+
+/**
+ * Classic mode: eject a pellet of the player's mass.
+ */
+function handleEjectMass(io, games, data) {
+  const { gameId, roomId, socket } = data;
+  const { room, player } = getActivePlayer(
+    games,
+    gameId,
+    roomId,
+    socket,
+    "classic"
+  );
+  const ejectError = ejectMass(room, player);
+  if (ejectError) throw new GameError("CANNOT_EJECT", ejectError);
+}
+
+/**
+ * (Re)enter `player` into the round at `position`, fresh and briefly
+ * invulnerable.
+ */
+function spawnPlayer(room, player, position) {
+  player.x = position.x;
+  player.y = position.y;
+  player.mass = START_MASS;
+  player.speed = BASE_SPEED;
+  player.isDead = false;
+  player.input = { x: 0, y: 0 };
+  resetWeapon(player, room.weapon);
+  resetHealth(room, player, TICK_RATE);
+  resetPowerUps(player);
+  room.alivePlayers.add(player.socketId);
+  updatePlayerIndex(room, player);
+}
+
+/**
+ * Take `victim` out of the round and record the kill. `killer` may be
+ * null; `how` is { cause: "bullet" | "eaten", bulletType? }. In a
+ * deathmatch the victim comes back after a delay.
+ */
+function eliminatePlayer(game, room, victim, killer, how) {
+  victim.isDead = true;
+  room.alivePlayers.delete(victim.socketId);
+  recordScore(room, victim, killer);
+  if (room.matchType === "deathmatch") {
+    scheduleRespawn(room, victim, TICK_RATE);
+  }
+
+  // Remove from spatial index
+  room.playerSpatialIndex.remove(
+    {
+      minX: victim.x - victim.mass,
+      minY: victim.y - victim.mass,
+      maxX: victim.x + victim.mass,
+      maxY: victim.y + victim.mass,
+      player: victim,
+    },
+    (a, b) => a.player.socketId === b.player.socketId
+  );
+
+  room.kills.push({
+    killerId: killer ? killer.playerId : null,
+    killer: killer ? killer.userName : null,
+    victimId: victim.playerId,
+    victim: victim.userName,
+    cause: how.cause,
+    bulletType: how.bulletType || null,
+    atMs: Date.now() - (room.startedAt || Date.now()),
+  });
+
+  postSystemMessage(
+    game.io,
+    { scope: "room", gameId: game.id, roomId: room.id },
+    killer
+      ? `${killer.userName} ${how.cause === "eaten" ? "ate" : "eliminated"} ${
+          victim.userName
+        }.`
+      : how.cause === "zone"
+        ? `${victim.userName} was caught outside the zone.`
+        : `${victim.userName} was eliminated.`
+  );
 }
 
 /**
  * Periodic bullet updates: movement, collisions, etc.
  */
-function updateBullets(game, room, games) {
+function updateBullets(game, room) {
   if (!room.bullets || !room.playersMap) return;
 
   for (let i = room.bullets.length - 1; i >= 0; i--) {
@@ -305,12 +561,13 @@ function updateBullets(game, room, games) {
     const distSq = b.vx * b.vx + b.vy * b.vy;
     b.traveled += Math.sqrt(distSq);
 
-    // Out of bounds or range limit
+    // Out of bounds, into a wall or range limit
     if (
       b.x < 0 ||
-      b.x > WORLD_WIDTH ||
+      b.x > room.worldSize.width ||
       b.y < 0 ||
-      b.y > WORLD_HEIGHT ||
+      b.y > room.worldSize.height ||
+      sweepHitsWall(room, b.x - b.vx, b.y - b.vy, b.x, b.y, b.radius) ||
       (b.rangeLimit !== Infinity && b.traveled >= b.rangeLimit)
     ) {
       room.bulletPool.push(b);
@@ -318,46 +575,52 @@ function updateBullets(game, room, games) {
       continue;
     }
 
-    // Potential collisions
-    const hits = room.playerSpatialIndex.search({
-      minX: b.x - b.radius,
-      minY: b.y - b.radius,
-      maxX: b.x + b.radius,
-      maxY: b.y + b.radius,
-    });
+    // Potential collisions, at the positions the shooter saw
+    const hits = findHitCandidates(
+      room,
+      {
+        minX: b.x - b.radius,
+        minY: b.y - b.radius,
+        maxX: b.x + b.radius,
+        maxY: b.y + b.radius,
+      },
+      b.rewindTicks
+    );
 
     let collisionDetected = false;
     for (const item of hits) {
       const player = item.player;
-      if (player.socketId === b.ownerId || player.isDead) continue;
+      if (
+        player.socketId === b.ownerId ||
+        player.isDead ||
+        isInvulnerable(room, player) ||
+        (b.hitIds && b.hitIds.has(player.netId))
+      ) {
+        continue;
+      }
 
-      const dx = b.x - player.x;
-      const dy = b.y - player.y;
+      const dx = b.x - item.x;
+      const dy = b.y - item.y;
       const distSq = dx * dx + dy * dy;
-      const collisionDist = b.radius + player.mass;
+      const collisionDist = b.radius + item.mass;
       if (distSq < collisionDist * collisionDist) {
-        player.isDead = true;
-        room.alivePlayers.delete(player.socketId);
+        if (applyBulletDamage(player, b.type)) {
+          console.log(
+            `[Server] Player ${player.userName} was killed by bullet ${b.id}`
+          );
+          eliminatePlayer(game, room, player, room.playersMap.get(b.ownerId), {
+            cause: "bullet",
+            bulletType: b.type,
+          });
+        }
+        if (b.hitIds) {
+          b.hitIds.add(player.netId);
+          continue;
+        }
 
         room.bulletPool.push(b);
         room.bullets.splice(i, 1);
-
-        // Remove from spatial index
-        room.playerSpatialIndex.remove(
-          {
-            minX: player.x - player.mass,
-            minY: player.y - player.mass,
-            maxX: player.x + player.mass,
-            maxY: player.y + player.mass,
-            player,
-          },
-          (a, b) => a.player.socketId === b.player.socketId
-        );
-
         collisionDetected = true;
-        console.log(
-          `[Server] Player ${player.userName} was killed by bullet ${b.id}`
-        );
         break;
       }
     }
@@ -365,16 +628,31 @@ function updateBullets(game, room, games) {
       continue;
     }
   }
+}
 
-  // Check if 0 or 1 players left
-  if (room.alivePlayers.size <= 1 && !room.winner) {
+/**
+ * End the round once it is decided: in a deathmatch when time is up or
+ * everyone else has left, in last-man-standing when 0 or 1 players are
+ * left alive.
+ */
+function checkRoundOver(game, room, games) {
+  if (room.winner || !room.bulletInterval) return;
+
+  if (room.matchType === "deathmatch") {
+    if (room.tick >= room.endTick || room.playersMap.size <= 1) {
+      console.log(`[Server] Deathmatch over in roomId=${room.id}`);
+      endAgarIoRoom(game, room, games);
+    }
+    return;
+  }
+
+  if (room.alivePlayers.size <= 1) {
     if (room.alivePlayers.size === 1) {
-      const winnerId = [...room.alivePlayers][0];
-      const winnerPlayer = room.playersMap.get(winnerId);
-      room.winner = winnerPlayer ? winnerPlayer.userName : null;
+      const winnerSocketId = [...room.alivePlayers][0];
+      setMatchWinner(room, room.playersMap.get(winnerSocketId));
       console.log(`[Server] Player ${room.winner} has won roomId=${room.id}`);
     } else {
-      room.winner = null;
+      setMatchWinner(room, null);
       console.log(`[Server] No players left alive in roomId=${room.id}`);
     }
 
@@ -382,11 +660,142 @@ function updateBullets(game, room, games) {
   }
 }
 
+/**
+ * A resumed session moved a player to a new socket: re-key our maps.
+ */
+function rebindPlayer(room, oldSocketId, newSocketId) {
+  if (room.playersMap && room.playersMap.has(oldSocketId)) {
+    const player = room.playersMap.get(oldSocketId);
+    room.playersMap.delete(oldSocketId);
+    room.playersMap.set(newSocketId, player);
+    // The new client numbers its inputs from scratch
+    resetInputSeq(player);
+  }
+  if (room.alivePlayers && room.alivePlayers.delete(oldSocketId)) {
+    room.alivePlayers.add(newSocketId);
+  }
+  (room.bullets || []).forEach((b) => {
+    if (b.ownerId === oldSocketId) b.ownerId = newSocketId;
+  });
+  // The new socket starts over from a keyframe
+  if (room.viewers) room.viewers.delete(oldSocketId);
+}
+
+/**
+ * A player's connection dropped and their slot is held: stop them
+ * moving on their last input until they resume or are removed.
+ */
+function holdPlayer(room, socketId) {
+  const player = room.playersMap && room.playersMap.get(socketId);
+  if (player) player.input = { x: 0, y: 0 };
+}
+
+/**
+ * Host-configurable options:
+ * { mode, matchType, durationSec, map, zone, powerUps, bulletTypes,
+ *   lagCompensation, weapon }
+ */
+function validateOptions(options) {
+  const { mode, map, bulletTypes, lagCompensation, weapon } = options;
+  if (!GAME_MODES.includes(mode)) {
+    return `mode must be one of: ${GAME_MODES.join(", ")}.`;
+  }
+  if (typeof map !== "string" || !getMap(map)) {
+    return `map must be one of: ${listMapIds().join(", ")}.`;
+  }
+  if (
+    !Array.isArray(bulletTypes) ||
+    bulletTypes.length === 0 ||
+    !bulletTypes.every((type) => BULLET_TYPES.includes(type))
+  ) {
+    return `bulletTypes must be a non-empty list of: ${BULLET_TYPES.join(", ")}.`;
+  }
+  if (typeof lagCompensation !== "boolean") {
+    return "lagCompensation must be true or false.";
+  }
+  const matchError =
+    validateMatchOptions(options) ||
+    validateZoneOptions(options.zone) ||
+    validatePowerUpOptions(options.powerUps);
+  if (matchError) return matchError;
+  return validateWeaponOptions(weapon, BULLET_TYPES);
+}
+
+/**
+ * Public room details for the REST API.
+ */
+function describeRoom(room) {
+  const map = getMap(roomMapId(room)) || getMap(DEFAULT_MAP);
+  return {
+    alivePlayers: room.alivePlayers ? room.alivePlayers.size : 0,
+    mode: (room.options && room.options.mode) || "shooter",
+    matchType: (room.options && room.options.matchType) || "lastManStanding",
+    bullets: room.bullets ? room.bullets.length : 0,
+    food: room.food ? room.food.size : 0,
+    map: map.id,
+    worldSize: { width: map.width, height: map.height },
+  };
+}
+
+/**
+ * Extra `gameStart` fields: the map geometry, sent once per round.
+ */
+function describeStart(room) {
+  return { map: describeMap(getMap(roomMapId(room)) || getMap(DEFAULT_MAP)) };
+}
+
+/**
+ * Per-player counters added to the aggregate stats of a recorded match.
+ */
+function playerMatchStats(match, playerId) {
+  const kills = match.details.kills || [];
+  return {
+    kills: kills.filter((k) => k.killerId === playerId).length,
+    deaths: kills.filter((k) => k.victimId === playerId).length,
+  };
+}
+
 /**
  * Cleanup function for Agar.io
  */
 function endAgarIoRoom(game, room, games) {
   console.log(`[Server] Ending Agar.io room: ${room.id}`);
+  transitionRoom(room, ROOM_STATES.ENDED);
+
+  if (room.endedEarly) {
+    // Stopped by a player: nobody wins
+    setMatchWinner(room, null);
+  } else if (!room.winner && room.matchType === "deathmatch" && room.scores) {
+    // Best score among those still in the room; nobody on a tie
+    const present = new Set(
+      [...room.playersMap.values()].map((player) => player.netId)
+    );
+    const leaderId = findScoreLeader(room, present);
+    const leader = [...room.playersMap.values()].find(
+      (player) => player.netId === leaderId
+    );
+    setMatchWinner(room, leader || null);
+  } else if (
+    !room.winner &&
+    room.alivePlayers &&
+    room.alivePlayers.size === 1
+  ) {
+    // Ended because others left (not via checkRoundOver): last one standing wins
+    setMatchWinner(room, room.playersMap.get([...room.alivePlayers][0]));
+  }
+
+  const match = recordFinishedMatch(game.id, room, {
+    kills: room.kills || [],
+    scoreboard: room.scores ? rankScores(room) : [],
+  });
+  // Announce once, even if the room is ended twice
+  if (match && room.winner) {
+    postSystemMessage(
+      game.io,
+      { scope: "room", gameId: game.id, roomId: room.id },
+      `${room.winner} won the game!`
+    );
+  }
 
   if (room.bulletInterval) {
     clearInterval(room.bulletInterval);
@@ -404,6 +813,7 @@ function endAgarIoRoom(game, room, games) {
     room.playersMap.forEach((player) => {
       player.isDead = false;
       player.mass = 10;
+      player.respawnTick = null;
     });
   }
 
@@ -414,18 +824,95 @@ function endAgarIoRoom(game, room, games) {
   }
 
   // Notify clients
-  game.io
-    .to(`${game.id}-${room.id}`)
-    .emit("gameEnded", { roomId: room.id, winner: room.winner });
+  game.io.to(`${game.id}-${room.id}`).emit("gameEnded", {
+    roomId: room.id,
+    winner: room.winner,
+    winnerId: room.winnerId,
+  });
 }
 
 module.exports = {
+  // Game descriptor (picked up by utils/gameRegistry.js)
+  id: 2,
+  name: "Agar.io",
+  minPlayers: 2,
+  maxPlayers: 4,
+  start: startAgarIoRoom,
+  broadcast: broadcastGameState,
+  end: endAgarIoRoom,
+  defaultOptions: {
+    mode: "shooter",
+    bulletTypes: BULLET_TYPES,
+    lagCompensation: true,
+    weapon: DEFAULT_WEAPON,
+    matchType: "lastManStanding",
+    durationSec: 180,
+    map: DEFAULT_MAP,
+    // Settings over the map's zone preset (./agarIo/zone.js)
+    zone: {},
+    powerUps: DEFAULT_POWER_UPS,
+  },
+  validateOptions,
+  describeRoom,
+  describeStart,
+  rebindPlayer,
+  holdPlayer,
+  playerMatchStats,
+  events: {
+    playerMove: handlePlayerMove,
+    chargeStart: handleChargeStart,
+    shoot: handleShootBullet,
+    split: handleSplit,
+    ejectMass: handleEjectMass,
+    snapshotAck: handleSnapshotAck,
+  },
+  // Spectators ack snapshots too
+  spectatorEvents: ["snapshotAck"],
+  // Binary layouts for clients that negotiated the binary wire format
+  wireSchemas: WIRE_SCHEMAS,
+  // Movement is coalesced to the newest input; shots beyond the limit are dropped
+  rateLimits: {
+    playerMove: { ratePerSec: 60, burst: 20, onExcess: "coalesce" },
+    chargeStart: { ratePerSec: 4, burst: 2, onExcess: "drop" },
+    shoot: { ratePerSec: 4, burst: 2, onExcess: "drop" },
+    split: { ratePerSec: 2, burst: 2, onExcess: "drop" },
+    ejectMass: { ratePerSec: 8, burst: 4, onExcess: "drop" },
+    snapshotAck: { ratePerSec: 60, burst: 20, onExcess: "coalesce" },
+  },
+  eventSchemas: {
+    playerMove: {
+      direction: { type: "string", enum: MOVE_DIRECTIONS },
+      vector: {
+        type: "object",
+        properties: {
+          x: { type: "number", required: true, min: -1, max: 1 },
+          y: { type: "number", required: true, min: -1, max: 1 },
+        },
+      },
+      seq: { type: "integer", min: 0 },
+    },
+    shoot: {
+      direction: {
+        type: "object",
+        required: true,
+        properties: {
+          x: { type: "number", required: true },
+          y: { type: "number", required: true },
+        },
+      },
+    },
+    snapshotAck: { tick: { type: "integer", required: true, min: 0 } },
+  },
+
   startAgarIoRoom,
   broadcastGameState,
   handlePlayerMove,
+  handleChargeStart,
   handleShootBullet,
+  handleSplit,
+  handleEjectMass,
+  handleSnapshotAck,
   endAgarIoRoom,
-  WORLD_WIDTH,
-  WORLD_HEIGHT,
   TICK_RATE,
+  GAME_MODES,
 };
@@ -0,0 +1,382 @@
+/************************************
+ * sockets/games/agarIo/classic.js
+ ************************************/
+const { BASE_SPEED, clamp, updatePlayerIndex } = require("./movement");
+const { randomClearPoint, pushOutOfWalls } = require("./walls");
+
+/**
+ * Classic agar rules (room option `mode: "classic"`): food pellets,
+ * cells growing by eating food and smaller cells, splitting and
+ * ejecting mass.
+ *
+ * A cell's `mass` doubles as its radius (as in the shooter rules), so
+ * growth adds area: eating a cell of mass b makes a into sqrt(a² + b²).
+ * Besides its main cell (the player itself) a player may have split
+ * cells in room.cells; they follow the player's input and merge back
+ * after MERGE_DELAY_SEC.
+ */
+const START_MASS = 10;
+const MAX_MASS = 300;
+/** Slowest a cell gets, however big */
+const MIN_SPEED = 60;
+
+/** One pellet per this many square units of world */
+const FOOD_DENSITY = 4000;
+const FOOD_MASS = 3;
+const FOOD_RESPAWN_SEC = 5;
+
+/** A cell eats one whose mass is at most its own divided by this */
+const EAT_RATIO = 1.25;
+
+const MIN_SPLIT_MASS = 20;
+const MAX_SPLIT_CELLS = 3;
+const MERGE_DELAY_SEC = 10;
+/** Launch speed of split cells and ejected mass, units per second */
+const LAUNCH_SPEED = 720;
+/** Fraction of the launch speed kept each tick */
+const LAUNCH_DECAY = 0.85;
+
+const MIN_EJECT_MASS = 16;
+const EJECT_MASS = 6;
+
+function combineMass(a, b) {
+  return Math.min(MAX_MASS, Math.sqrt(a * a + b * b));
+}
+
+/**
+ * Bigger cells are slower.
+ */
+function speedForMass(mass) {
+  return Math.max(MIN_SPEED, BASE_SPEED * Math.sqrt(START_MASS / mass));
+}
+
+function setPlayerMass(room, player, mass) {
+  player.mass = mass;
+  player.speed = Math.min(BASE_SPEED, speedForMass(mass));
+  updatePlayerIndex(room, player);
+}
+
+function boundsOf(x, y, radius) {
+  return {
+    minX: x - radius,
+    minY: y - radius,
+    maxX: x + radius,
+    maxY: y + radius,
+  };
+}
+
+/********************************************
+ * Food
+ ********************************************/
+
+function addFood(room, pellet) {
+  pellet.entry = { ...boundsOf(pellet.x, pellet.y, pellet.mass), pellet };
+  room.food.set(pellet.id, pellet);
+  room.foodSpatialIndex.insert(pellet.entry);
+}
+
+function removeFood(room, pellet) {
+  room.foodSpatialIndex.remove(pellet.entry);
+  room.food.delete(pellet.id);
+}
+
+function spawnFood(room) {
+  const { x, y } = randomClearPoint(room, FOOD_MASS);
+  addFood(room, {
+    id: room.foodIdCounter++,
+    x,
+    y,
+    mass: FOOD_MASS,
+    vx: 0,
+    vy: 0,
+  });
+}
+
+/**
+ * Set up the classic-mode state of a room and scatter the food.
+ */
+function initClassic(room, RBush, worldSize) {
+  room.food = new Map();
+  room.foodSpatialIndex = new RBush();
+  room.foodIdCounter = 1;
+  // Ticks at which an eaten pellet grows back
+  room.foodRespawns = [];
+  room.foodTarget = Math.round(
+    (worldSize.width * worldSize.height) / FOOD_DENSITY
+  );
+  for (let i = 0; i < room.foodTarget; i++) spawnFood(room);
+
+  room.cells = new Map();
+  room.cellIdCounter = 1;
+  room.cellSpatialIndex = new RBush();
+}
+
+/********************************************
+ * Actions
+ ********************************************/
+
+function launchDirection(player) {
+  const { x, y } = player.input;
+  if (x !== 0 || y !== 0) return { x, y };
+  if (player.lastDx !== 0 || player.lastDy !== 0) {
+    return { x: player.lastDx, y: player.lastDy };
+  }
+  return { x: 1, y: 0 };
+}
+
+function cellsOf(room, player) {
+  return [...room.cells.values()].filter((cell) => cell.owner === player);
+}
+
+/**
+ * Split half of the player's area off as a new cell launched along its
+ * heading. Returns an error message if it can't split.
+ */
+function splitPlayer(room, player, tickRate) {
+  if (player.mass < MIN_SPLIT_MASS) {
+    return `You need a mass of ${MIN_SPLIT_MASS} to split.`;
+  }
+  if (cellsOf(room, player).length >= MAX_SPLIT_CELLS) {
+    return `You can have at most ${MAX_SPLIT_CELLS} split cells.`;
+  }
+
+  const half = player.mass / Math.SQRT2;
+  const { x, y } = launchDirection(player);
+  setPlayerMass(room, player, half);
+  const cell = {
+    id: room.cellIdCounter++,
+    owner: player,
+    x: player.x,
+    y: player.y,
+    mass: half,
+    vx: x * LAUNCH_SPEED,
+    vy: y * LAUNCH_SPEED,
+    mergeTick: room.tick + Math.round(MERGE_DELAY_SEC * tickRate),
+  };
+  room.cells.set(cell.id, cell);
+  return null;
+}
+
+/**
+ * Shoot a small pellet of the player's mass along its heading; anyone
+ * can eat it once it lands. Returns an error message if it can't.
+ */
+function ejectMass(room, player) {
+  if (player.mass < MIN_EJECT_MASS) {
+    return `You need a mass of ${MIN_EJECT_MASS} to eject.`;
+  }
+
+  const { x, y } = launchDirection(player);
+  setPlayerMass(
+    room,
+    player,
+    Math.sqrt(player.mass * player.mass - EJECT_MASS * EJECT_MASS)
+  );
+  addFood(room, {
+    id: room.foodIdCounter++,
+    x: player.x + x * (player.mass + EJECT_MASS),
+    y: player.y + y * (player.mass + EJECT_MASS),
+    mass: EJECT_MASS,
+    vx: x * LAUNCH_SPEED,
+    vy: y * LAUNCH_SPEED,
+    // Ejected mass doesn't grow back once eaten
+    ejected: true,
+  });
+  return null;
+}
+
+/********************************************
+ * Per-tick update
+ ********************************************/
+
+/**
+ * Move split cells (along the owner's input, or back towards the owner
+ * once they may merge) and anything still flying from a launch.
+ */
+function moveCells(room, dtSec, worldSize) {
+  room.cells.forEach((cell) => {
+    const owner = cell.owner;
+    if (owner.isDead || !room.alivePlayers.has(owner.socketId)) {
+      room.cells.delete(cell.id);
+      return;
+    }
+
+    let { x: dirX, y: dirY } = owner.input;
+    if (room.tick >= cell.mergeTick) {
+      const dx = owner.x - cell.x;
+      const dy = owner.y - cell.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance < owner.mass) {
+        setPlayerMass(room, owner, combineMass(owner.mass, cell.mass));
+        room.cells.delete(cell.id);
+        return;
+      }
+      dirX = dx / distance;
+      dirY = dy / distance;
+    }
+
+    const step = speedForMass(cell.mass) * dtSec;
+    cell.x = clamp(cell.x + dirX * step + cell.vx * dtSec, 0, worldSize.width);
+    cell.y = clamp(cell.y + dirY * step + cell.vy * dtSec, 0, worldSize.height);
+    pushOutOfWalls(room, cell, cell.mass);
+    cell.vx *= LAUNCH_DECAY;
+    cell.vy *= LAUNCH_DECAY;
+  });
+
+  room.food.forEach((pellet) => {
+    if (pellet.vx === 0 && pellet.vy === 0) return;
+    pellet.x = clamp(pellet.x + pellet.vx * dtSec, 0, worldSize.width);
+    pellet.y = clamp(pellet.y + pellet.vy * dtSec, 0, worldSize.height);
+    pushOutOfWalls(room, pellet, pellet.mass);
+    pellet.vx *= LAUNCH_DECAY;
+    pellet.vy *= LAUNCH_DECAY;
+    if (Math.abs(pellet.vx) + Math.abs(pellet.vy) < 1) {
+      pellet.vx = 0;
+      pellet.vy = 0;
+    }
+    room.foodSpatialIndex.remove(pellet.entry);
+    pellet.entry = { ...boundsOf(pellet.x, pellet.y, pellet.mass), pellet };
+    room.foodSpatialIndex.insert(pellet.entry);
+  });
+}
+
+/**
+ * Every cell that can eat or be eaten: the players themselves and their
+ * split cells.
+ */
+function listBodies(room) {
+  const bodies = [];
+  room.alivePlayers.forEach((socketId) => {
+    const player = room.playersMap.get(socketId);
+    if (player) bodies.push({ player, cell: null, owner: player });
+  });
+  room.cells.forEach((cell) => {
+    bodies.push({ player: null, cell, owner: cell.owner });
+  });
+  return bodies;
+}
+
+function bodyOf(body) {
+  return body.cell || body.player;
+}
+
+function growBody(room, body, eatenMass) {
+  const target = bodyOf(body);
+  const mass = combineMass(target.mass, eatenMass);
+  if (body.cell) {
+    body.cell.mass = mass;
+  } else {
+    setPlayerMass(room, body.player, mass);
+  }
+}
+
+function eatFood(room, body) {
+  const { x, y, mass } = bodyOf(body);
+  room.foodSpatialIndex.search(boundsOf(x, y, mass)).forEach(({ pellet }) => {
+    if (!room.food.has(pellet.id)) return;
+    const dx = pellet.x - x;
+    const dy = pellet.y - y;
+    if (dx * dx + dy * dy >= mass * mass) return;
+
+    removeFood(room, pellet);
+    if (!pellet.ejected) room.foodRespawns.push(room.tick);
+    growBody(room, body, pellet.mass);
+  });
+}
+
+/**
+ * A player lost its main cell: its biggest split cell takes over and is
+ * returned, or null if the player has no cell left.
+ */
+function loseMainCell(room, player) {
+  const [successor] = cellsOf(room, player).sort((a, b) => b.mass - a.mass);
+  if (!successor) return null;
+
+  room.cells.delete(successor.id);
+  player.x = successor.x;
+  player.y = successor.y;
+  setPlayerMass(room, player, successor.mass);
+  return successor;
+}
+
+/**
+ * Bigger cells swallow smaller ones whose centre they cover. Calls
+ * `onEliminated(victim, eater)` for players left without any cell.
+ */
+function eatCells(room, onEliminated) {
+  const bodies = listBodies(room).sort(
+    (a, b) => bodyOf(b).mass - bodyOf(a).mass
+  );
+  room.cellSpatialIndex.clear();
+  room.cellSpatialIndex.load(
+    bodies.map((body) => {
+      const { x, y, mass } = bodyOf(body);
+      return { ...boundsOf(x, y, mass), body };
+    })
+  );
+
+  const cellBodies = new Map();
+  bodies.forEach((body) => {
+    if (body.cell) cellBodies.set(body.cell, body);
+  });
+
+  const eaten = new Set();
+  bodies.forEach((body) => {
+    if (eaten.has(body)) return;
+    eatFood(room, body);
+
+    const eater = bodyOf(body);
+    room.cellSpatialIndex
+      .search(boundsOf(eater.x, eater.y, eater.mass))
+      .forEach(({ body: prey }) => {
+        if (prey === body || eaten.has(prey) || prey.owner === body.owner) {
+          return;
+        }
+        const target = bodyOf(prey);
+        if (target.mass * EAT_RATIO > eater.mass) return;
+        const dx = target.x - eater.x;
+        const dy = target.y - eater.y;
+        if (dx * dx + dy * dy >= eater.mass * eater.mass) return;
+
+        eaten.add(prey);
+        growBody(room, body, target.mass);
+        if (prey.cell) {
+          room.cells.delete(prey.cell.id);
+          return;
+        }
+        const successor = loseMainCell(room, prey.player);
+        if (successor) {
+          // Now the player's main cell; done for this tick
+          eaten.add(cellBodies.get(successor));
+        } else {
+          onEliminated(prey.player, body.owner);
+        }
+      });
+  });
+}
+
+function respawnFood(room, tickRate) {
+  const dueBefore = room.tick - Math.round(FOOD_RESPAWN_SEC * tickRate);
+  while (room.foodRespawns.length > 0 && room.foodRespawns[0] <= dueBefore) {
+    room.foodRespawns.shift();
+    spawnFood(room);
+  }
+}
+
+/**
+ * One classic-mode tick, after the players have moved.
+ */
+function updateClassic(room, { dtSec, tickRate, worldSize, onEliminated }) {
+  moveCells(room, dtSec, worldSize);
+  eatCells(room, onEliminated);
+  respawnFood(room, tickRate);
+}
+
+module.exports = {
+  START_MASS,
+  setPlayerMass,
+  initClassic,
+  splitPlayer,
+  ejectMass,
+  updateClassic,
+};
@@ -0,0 +1,216 @@
+/************************************
+ * sockets/games/agarIo/combat.js
+ ************************************/
+const { randomClearPoint } = require("./walls");
+
+/**
+ * Health, respawns and the scoreboard.
+ *
+ * Bullets take hit points (BULLET_DAMAGE) instead of killing outright,
+ * and nothing hurts a player for SPAWN_PROTECTION_SEC after spawning.
+ * The room option `matchType` decides how a round ends:
+ *  - "lastManStanding": the eliminated stay out; the last one alive wins.
+ *  - "deathmatch": the eliminated respawn after RESPAWN_DELAY_SEC at a
+ *    safe spot; after `durationSec` the best score wins.
+ *  - "battleRoyale": last-man-standing inside a shrinking safe zone
+ *    (./zone.js).
+ */
+const MATCH_TYPES = ["lastManStanding", "deathmatch", "battleRoyale"];
+const DEATHMATCH_DURATION_LIMITS = [30, 1800];
+
+const MAX_HEALTH = 100;
+const BULLET_DAMAGE = { charged: 25, fullyCharged: 60 };
+const SPAWN_PROTECTION_SEC = 2;
+const RESPAWN_DELAY_SEC = 3;
+/** Random spots tried when the map has no spawn points */
+const SPAWN_CANDIDATES = 16;
+
+/**
+ * Error message for invalid matchType/durationSec options, or null.
+ */
+function validateMatchOptions({ matchType, durationSec }) {
+  if (!MATCH_TYPES.includes(matchType)) {
+    return `matchType must be one of: ${MATCH_TYPES.join(", ")}.`;
+  }
+  const [min, max] = DEATHMATCH_DURATION_LIMITS;
+  if (
+    !Number.isInteger(durationSec) ||
+    durationSec < min ||
+    durationSec > max
+  ) {
+    return `durationSec must be a whole number between ${min} and ${max}.`;
+  }
+  return null;
+}
+
+/********************************************
+ * Health
+ ********************************************/
+
+/**
+ * Full health and fresh spawn protection.
+ */
+function resetHealth(room, player, tickRate) {
+  player.health = MAX_HEALTH;
+  player.invulnerableUntilTick =
+    room.tick + Math.round(SPAWN_PROTECTION_SEC * tickRate);
+  player.respawnTick = null;
+}
+
+function isInvulnerable(room, player) {
+  return room.tick < player.invulnerableUntilTick;
+}
+
+/**
+ * Take `amount` of damage (scaled by power-ups, e.g. a shield); returns
+ * true if that was the last of the player's health.
+ */
+function applyDamage(player, amount) {
+  const { damageTaken = 1 } = player.modifiers || {};
+  player.health = Math.max(0, player.health - amount * damageTaken);
+  return player.health === 0;
+}
+
+function applyBulletDamage(player, bulletType) {
+  return applyDamage(player, BULLET_DAMAGE[bulletType] || 0);
+}
+
+/********************************************
+ * Respawning
+ ********************************************/
+
+function scheduleRespawn(room, player, tickRate) {
+  player.respawnTick = room.tick + Math.round(RESPAWN_DELAY_SEC * tickRate);
+}
+
+/**
+ * The spot farthest from every live player, among the map's spawn
+ * points or else random places where a player of `radius` fits.
+ */
+function findSafeSpawn(room, radius) {
+  const alive = [...room.alivePlayers]
+    .map((socketId) => room.playersMap.get(socketId))
+    .filter(Boolean);
+  const candidates =
+    room.map && room.map.spawnPoints.length > 0
+      ? room.map.spawnPoints
+      : Array.from({ length: SPAWN_CANDIDATES }, () =>
+          randomClearPoint(room, radius)
+        );
+
+  let best = null;
+  let bestClearance = -Infinity;
+  for (const { x, y } of candidates) {
+    const clearance = alive.reduce((nearest, p) => {
+      const distance = Math.sqrt((p.x - x) ** 2 + (p.y - y) ** 2) - p.mass;
+      return Math.min(nearest, distance);
+    }, Infinity);
+    if (clearance > bestClearance) {
+      best = { x, y };
+      bestClearance = clearance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Bring back players whose respawn delay is over: `spawn(player,
+ * position)` places each at a safe spot for a player of `radius`
+ * before the next spot is picked, so same-tick respawns stay apart.
+ */
+function respawnDuePlayers(room, radius, spawn) {
+  room.playersMap.forEach((player) => {
+    if (
+      player.isDead &&
+      player.respawnTick !== null &&
+      room.tick >= player.respawnTick
+    ) {
+      spawn(player, findSafeSpawn(room, radius));
+    }
+  });
+}
+
+/********************************************
+ * Scoreboard
+ ********************************************/
+
+/**
+ * One row per player, keyed by netId so it survives reconnects.
+ */
+function initScoreboard(room) {
+  room.scores = new Map();
+  room.players.forEach((player) => {
+    room.scores.set(player.netId, {
+      id: player.netId,
+      userName: player.userName,
+      kills: 0,
+      deaths: 0,
+      streak: 0,
+      bestStreak: 0,
+      score: 0,
+    });
+  });
+}
+
+function recordScore(room, victim, killer) {
+  const victimRow = room.scores.get(victim.netId);
+  if (victimRow) {
+    victimRow.deaths++;
+    victimRow.streak = 0;
+  }
+
+  const killerRow =
+    killer && killer !== victim && room.scores.get(killer.netId);
+  if (killerRow) {
+    killerRow.kills++;
+    killerRow.streak++;
+    killerRow.bestStreak = Math.max(killerRow.bestStreak, killerRow.streak);
+    killerRow.score = killerRow.kills;
+  }
+}
+
+/**
+ * Rows ordered best first: score, then fewer deaths.
+ */
+function rankScores(room) {
+  return [...room.scores.values()].sort(
+    (a, b) => b.score - a.score || a.deaths - b.deaths
+  );
+}
+
+/**
+ * netId of the row with the best score among `eligibleIds`, or null on
+ * a tie.
+ */
+function findScoreLeader(room, eligibleIds) {
+  const [first, second] = rankScores(room).filter((row) =>
+    eligibleIds.has(row.id)
+  );
+  if (!first) return null;
+  if (
+    second &&
+    second.score === first.score &&
+    second.deaths === first.deaths
+  ) {
+    return null;
+  }
+  return first.id;
+}
+
+module.exports = {
+  MATCH_TYPES,
+  MAX_HEALTH,
+  BULLET_DAMAGE,
+  validateMatchOptions,
+  resetHealth,
+  isInvulnerable,
+  applyDamage,
+  applyBulletDamage,
+  scheduleRespawn,
+  findSafeSpawn,
+  respawnDuePlayers,
+  initScoreboard,
+  recordScore,
+  rankScores,
+  findScoreLeader,
+};
@@ -0,0 +1,95 @@
+/************************************
+ * sockets/games/agarIo/lagCompensation.js
+ ************************************/
+
+/**
+ * Shots are judged against the world the shooter was looking at. The
+ * room keeps the players' positions for the last few ticks; a bullet
+ * fired by a client with round-trip time RTT is tested against the
+ * positions from RTT ago (at most MAX_REWIND_MS) for its whole flight.
+ *
+ * Rooms turn this off with the `lagCompensation: false` option.
+ */
+const MAX_REWIND_MS = 200;
+
+/**
+ * How many ticks back a bullet fired now by a client with `rttMs`
+ * should look, or 0 when the room disables compensation.
+ */
+function getRewindTicks(room, rttMs, tickRate) {
+  if (room.options && room.options.lagCompensation === false) return 0;
+  const rewindMs = Math.min(rttMs, MAX_REWIND_MS);
+  return Math.round((rewindMs * tickRate) / 1000);
+}
+
+/**
+ * Ring buffer size: enough frames to rewind MAX_REWIND_MS.
+ */
+function historyLength(tickRate) {
+  return Math.ceil((MAX_REWIND_MS * tickRate) / 1000) + 1;
+}
+
+/**
+ * Remember where every live player is this tick.
+ */
+function recordFrame(room, RBush, tickRate) {
+  if (!room.positionHistory) {
+    room.positionHistory = new Array(historyLength(tickRate)).fill(null);
+  }
+
+  const entries = [];
+  room.alivePlayers.forEach((socketId) => {
+    const player = room.playersMap.get(socketId);
+    if (!player) return;
+    entries.push({
+      minX: player.x - player.mass,
+      minY: player.y - player.mass,
+      maxX: player.x + player.mass,
+      maxY: player.y + player.mass,
+      player,
+      x: player.x,
+      y: player.y,
+      mass: player.mass,
+    });
+  });
+
+  const index = new RBush();
+  index.load(entries);
+  room.positionHistory[room.tick % room.positionHistory.length] = {
+    tick: room.tick,
+    index,
+  };
+}
+
+function getFrame(room, ticksAgo) {
+  if (!room.positionHistory) return null;
+  const tick = room.tick - ticksAgo;
+  const frame =
+    room.positionHistory[tick % room.positionHistory.length] || null;
+  return frame && frame.tick === tick ? frame : null;
+}
+
+/**
+ * Players a bullet covering `bounds` may hit, as { player, x, y, mass }
+ * where x/y/mass are as of `rewindTicks` ago. Falls back to current
+ * positions when that frame isn't recorded (yet).
+ */
+function findHitCandidates(room, bounds, rewindTicks) {
+  const frame = rewindTicks > 0 ? getFrame(room, rewindTicks) : null;
+  if (frame) {
+    return frame.index.search(bounds);
+  }
+  return room.playerSpatialIndex.search(bounds).map(({ player }) => ({
+    player,
+    x: player.x,
+    y: player.y,
+    mass: player.mass,
+  }));
+}
+
+module.exports = {
+  MAX_REWIND_MS,
+  getRewindTicks,
+  recordFrame,
+  findHitCandidates,
+};
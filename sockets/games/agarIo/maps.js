@@ -0,0 +1,170 @@
+/************************************
+ * sockets/games/agarIo/maps.js
+ ************************************/
+const fs = require("fs");
+const path = require("path");
+const { validateZoneOptions } = require("./zone");
+
+/**
+ * Map definitions, one JSON file per map in ./maps/ (the file name is
+ * the map id the host picks with the `map` room option):
+ *
+ *   {
+ *     "name": "Fortress",
+ *     "width": 2000, "height": 2000,
+ *     "walls": [{ "x", "y", "width", "height" }],  // optional
+ *     "spawnPoints": [{ "x", "y" }],               // optional, else random
+ *     "powerUpSpots": [{ "x", "y" }],              // optional, else random
+ *     "zone": { ... }                              // optional zone preset
+ *   }
+ *
+ * The zone preset takes any of the `zone` room option's settings
+ * (./zone.js); the room's own `zone` option still wins over it.
+ */
+const MAPS_DIR = path.join(__dirname, "maps");
+const DEFAULT_MAP = "arena";
+const WORLD_SIZE_LIMITS = [200, 10000];
+const MAX_WALLS = 500;
+
+// Maps keyed by id, filled lazily on first lookup
+let maps = null;
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+/**
+ * Throws if the map read from `file` is malformed.
+ */
+function validateMap(map, file) {
+  if (!map || typeof map !== "object" || Array.isArray(map)) {
+    throw new Error(`Map ${file} is not an object`);
+  }
+  if (typeof map.name !== "string" || !map.name) {
+    throw new Error(`Map ${file} has an invalid name`);
+  }
+  const [min, max] = WORLD_SIZE_LIMITS;
+  [map.width, map.height].forEach((size) => {
+    if (!Number.isInteger(size) || size < min || size > max) {
+      throw new Error(
+        `Map ${file} must be ${min} to ${max} units wide and high`
+      );
+    }
+  });
+
+  const inWorld = (x, y) =>
+    isNumber(x) &&
+    isNumber(y) &&
+    x >= 0 &&
+    y >= 0 &&
+    x <= map.width &&
+    y <= map.height;
+
+  const walls = map.walls || [];
+  if (!Array.isArray(walls) || walls.length > MAX_WALLS) {
+    throw new Error(`Map ${file} must list at most ${MAX_WALLS} walls`);
+  }
+  walls.forEach((wall, i) => {
+    if (
+      !wall ||
+      !inWorld(wall.x, wall.y) ||
+      !(wall.width > 0) ||
+      !(wall.height > 0) ||
+      !inWorld(wall.x + wall.width, wall.y + wall.height)
+    ) {
+      throw new Error(`Map ${file} has an invalid wall #${i}`);
+    }
+  });
+
+  ["spawnPoints", "powerUpSpots"].forEach((key) => {
+    const points = map[key] || [];
+    if (!Array.isArray(points)) {
+      throw new Error(`Map ${file} has invalid ${key}`);
+    }
+    points.forEach((point, i) => {
+      const insideWall = walls.some(
+        (wall) =>
+          point &&
+          point.x >= wall.x &&
+          point.x <= wall.x + wall.width &&
+          point.y >= wall.y &&
+          point.y <= wall.y + wall.height
+      );
+      if (!point || !inWorld(point.x, point.y) || insideWall) {
+        throw new Error(`Map ${file} has an invalid ${key} entry #${i}`);
+      }
+    });
+  });
+
+  if (map.zone !== undefined) {
+    const zoneError = validateZoneOptions(map.zone);
+    if (zoneError) {
+      throw new Error(`Map ${file} has an invalid zone preset: ${zoneError}`);
+    }
+  }
+}
+
+/**
+ * Read and check every map in ./maps/.
+ */
+function loadMaps() {
+  if (maps) return maps;
+
+  const loaded = new Map();
+  fs.readdirSync(MAPS_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .forEach((file) => {
+      const map = JSON.parse(
+        fs.readFileSync(path.join(MAPS_DIR, file), "utf8")
+      );
+      validateMap(map, file);
+      const id = path.basename(file, ".json");
+      loaded.set(id, {
+        id,
+        name: map.name,
+        width: map.width,
+        height: map.height,
+        walls: map.walls || [],
+        spawnPoints: map.spawnPoints || [],
+        powerUpSpots: map.powerUpSpots || [],
+        zone: map.zone || {},
+      });
+    });
+
+  maps = loaded;
+  return maps;
+}
+
+/**
+ * The map with this id, or null.
+ */
+function getMap(id) {
+  return loadMaps().get(id) || null;
+}
+
+function listMapIds() {
+  return [...loadMaps().keys()];
+}
+
+/**
+ * The geometry clients need to draw the map, sent once per round.
+ */
+function describeMap(map) {
+  return {
+    id: map.id,
+    name: map.name,
+    width: map.width,
+    height: map.height,
+    walls: map.walls,
+    spawnPoints: map.spawnPoints,
+    powerUpSpots: map.powerUpSpots,
+  };
+}
+
+module.exports = {
+  DEFAULT_MAP,
+  getMap,
+  listMapIds,
+  describeMap,
+};
@@ -0,0 +1,129 @@
+/************************************
+ * sockets/games/agarIo/movement.js
+ ************************************/
+const { pushOutOfWalls } = require("./walls");
+
+/** Default player speed in world units per second */
+const BASE_SPEED = 240;
+
+/** Unit vectors for the named directions playerMove accepts */
+const DIRECTION_VECTORS = {
+  none: { x: 0, y: 0 },
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  "up-left": { x: -Math.SQRT1_2, y: -Math.SQRT1_2 },
+  "up-right": { x: Math.SQRT1_2, y: -Math.SQRT1_2 },
+  "down-left": { x: -Math.SQRT1_2, y: Math.SQRT1_2 },
+  "down-right": { x: Math.SQRT1_2, y: Math.SQRT1_2 },
+};
+const MOVE_DIRECTIONS = Object.keys(DIRECTION_VECTORS);
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Forget the input seqs seen so far (null until the first input), as
+ * when a new client takes over the player and counts from 0 again.
+ */
+function resetInputSeq(player) {
+  player.pendingInputSeq = null;
+  player.lastInputSeq = null;
+}
+
+/**
+ * Fresh movement state for a player entering the round.
+ */
+function resetMovement(player) {
+  player.speed = BASE_SPEED;
+  player.input = { x: 0, y: 0 };
+  resetInputSeq(player);
+  player.lastDx = 0;
+  player.lastDy = 0;
+}
+
+/**
+ * Store the client's current input state; the game loop applies it.
+ * `direction` is a named direction, `vector` a joystick vector (its
+ * length is capped at 1). Inputs older than the last one seen are
+ * ignored. Returns false when the input was stale.
+ */
+function applyInput(player, { direction, vector, seq }) {
+  if (
+    seq !== undefined &&
+    player.pendingInputSeq !== null &&
+    seq <= player.pendingInputSeq
+  ) {
+    return false;
+  }
+
+  let { x, y } = vector || DIRECTION_VECTORS[direction];
+  const length = Math.sqrt(x * x + y * y);
+  if (length > 1) {
+    x /= length;
+    y /= length;
+  }
+
+  player.input = { x, y };
+  if (seq !== undefined) player.pendingInputSeq = seq;
+  return true;
+}
+
+/**
+ * Move the player's entry in the room's spatial index to its current
+ * position and size.
+ */
+function updatePlayerIndex(room, player) {
+  if (player.indexEntry) {
+    room.playerSpatialIndex.remove(player.indexEntry);
+  }
+  player.indexEntry = {
+    minX: player.x - player.mass,
+    minY: player.y - player.mass,
+    maxX: player.x + player.mass,
+    maxY: player.y + player.mass,
+    player,
+  };
+  room.playerSpatialIndex.insert(player.indexEntry);
+}
+
+/**
+ * One fixed step of `dtSec` seconds: every live player moves along its
+ * input at its own speed, stopping at walls. Marks the input seq each player's position
+ * now reflects, so snapshots can ack it.
+ */
+function integratePlayers(room, dtSec, worldSize) {
+  room.alivePlayers.forEach((socketId) => {
+    const player = room.playersMap.get(socketId);
+    if (!player || player.isDead) return;
+
+    const { x, y } = player.input;
+    if (x !== 0 || y !== 0) {
+      // Power-ups may scale the speed (./powerUps.js)
+      const { speed = 1 } = player.modifiers || {};
+      const step = player.speed * speed * dtSec;
+      player.x = clamp(player.x + x * step, 0, worldSize.width);
+      player.y = clamp(player.y + y * step, 0, worldSize.height);
+      pushOutOfWalls(room, player, player.mass);
+      updatePlayerIndex(room, player);
+
+      // Last heading, for aiming without a pointer
+      player.lastDx = x;
+      player.lastDy = y;
+    }
+    player.lastInputSeq = player.pendingInputSeq;
+  });
+}
+
+module.exports = {
+  BASE_SPEED,
+  MOVE_DIRECTIONS,
+  clamp,
+  resetInputSeq,
+  resetMovement,
+  applyInput,
+  updatePlayerIndex,
+  integratePlayers,
+};
@@ -0,0 +1,360 @@
+/************************************
+ * sockets/games/agarIo/powerUps.js
+ ************************************/
+const { updatePlayerIndex } = require("./movement");
+const { randomClearPoint } = require("./walls");
+const DEFINITIONS = require("./powerUps.json");
+
+/**
+ * Power-up pickups. Every `spawnIntervalSec` a pickup of a random
+ * allowed type appears on one of the map's `powerUpSpots` (or anywhere
+ * clear of walls); touching it grants its timed effect.
+ *
+ * Effects are defined in ./powerUps.json. An effect only sets
+ * `modifiers`, which the game systems read from player.modifiers:
+ *  - speed, damageTaken, cooldown, energyCost, size: multipliers
+ *  - piercing: bullets fired go through players
+ * How a second pickup of an active effect stacks is its `stacking`:
+ *  - "refresh": the timer starts over
+ *  - "extend": the duration adds up, to at most `maxDurationSec`
+ *  - "stack": up to `maxStacks` stacks (multipliers compound); the
+ *    timer starts over
+ * Effects sharing a `group` replace each other.
+ *
+ * Rooms tune spawning with the `powerUps` option.
+ */
+const MODIFIERS = {
+  speed: "multiplier",
+  damageTaken: "multiplier",
+  cooldown: "multiplier",
+  energyCost: "multiplier",
+  size: "multiplier",
+  piercing: "flag",
+};
+const STACKING_RULES = ["refresh", "extend", "stack"];
+
+const POWER_UP_TYPES = Object.keys(DEFINITIONS);
+const PICKUP_RADIUS = 12;
+
+const DEFAULT_POWER_UPS = {
+  enabled: true,
+  spawnIntervalSec: 10,
+  // Most pickups waiting on the map at once
+  maxActive: 3,
+  types: POWER_UP_TYPES,
+};
+
+/** Allowed range for each numeric powerUps setting */
+const POWER_UP_LIMITS = {
+  spawnIntervalSec: [1, 300],
+  maxActive: [0, 50],
+};
+
+/**
+ * Throws if a definition in ./powerUps.json is malformed.
+ */
+function validateDefinition(type, definition) {
+  const fail = (reason) => {
+    throw new Error(`Power-up "${type}" ${reason}`);
+  };
+  if (typeof definition.name !== "string" || !definition.name) {
+    fail("has an invalid name");
+  }
+  if (!(definition.durationSec > 0)) fail("needs a positive durationSec");
+  if (!STACKING_RULES.includes(definition.stacking)) {
+    fail(`has stacking other than ${STACKING_RULES.join(", ")}`);
+  }
+  if (
+    definition.stacking === "extend" &&
+    !(definition.maxDurationSec >= definition.durationSec)
+  ) {
+    fail("needs maxDurationSec of at least durationSec");
+  }
+  if (
+    definition.stacking === "stack" &&
+    !(Number.isInteger(definition.maxStacks) && definition.maxStacks >= 1)
+  ) {
+    fail("needs a whole maxStacks of at least 1");
+  }
+  Object.entries(definition.modifiers || {}).forEach(([key, value]) => {
+    if (MODIFIERS[key] === "multiplier") {
+      // Only damage may be scaled down to nothing
+      const min = key === "damageTaken" ? 0 : Number.MIN_VALUE;
+      if (typeof value !== "number" || value < min) {
+        fail(`has an invalid ${key} multiplier`);
+      }
+    } else if (MODIFIERS[key] === "flag") {
+      if (typeof value !== "boolean") fail(`has a non-boolean ${key}`);
+    } else {
+      fail(`has unknown modifier "${key}"`);
+    }
+  });
+}
+
+Object.entries(DEFINITIONS).forEach(([type, definition]) =>
+  validateDefinition(type, definition)
+);
+
+/**
+ * Error message for an invalid `powerUps` room option, or null. Any
+ * subset of DEFAULT_POWER_UPS's keys may be given.
+ */
+function validatePowerUpOptions(powerUps) {
+  if (!powerUps || typeof powerUps !== "object" || Array.isArray(powerUps)) {
+    return "powerUps must be an object.";
+  }
+  for (const [key, value] of Object.entries(powerUps)) {
+    if (key === "enabled") {
+      if (typeof value !== "boolean") {
+        return "powerUps.enabled must be true or false.";
+      }
+      continue;
+    }
+    if (key === "types") {
+      if (
+        !Array.isArray(value) ||
+        value.length === 0 ||
+        !value.every((type) => POWER_UP_TYPES.includes(type))
+      ) {
+        return `powerUps.types must be a non-empty list of: ${POWER_UP_TYPES.join(
+          ", "
+        )}.`;
+      }
+      continue;
+    }
+    const limits = POWER_UP_LIMITS[key];
+    if (!limits) return `Unknown powerUps setting "${key}".`;
+    if (typeof value !== "number" || value < limits[0] || value > limits[1]) {
+      return `powerUps.${key} must be between ${limits[0]} and ${limits[1]}.`;
+    }
+  }
+  return null;
+}
+
+function neutralModifiers() {
+  const modifiers = {};
+  Object.entries(MODIFIERS).forEach(([key, kind]) => {
+    modifiers[key] = kind === "flag" ? false : 1;
+  });
+  return modifiers;
+}
+
+/**
+ * No effects, as when (re)spawning.
+ */
+function resetPowerUps(player) {
+  player.effects = new Map();
+  player.modifiers = neutralModifiers();
+  // Replaced (never mutated) on change, so snapshots can diff it
+  player.effectNames = [];
+}
+
+/**
+ * Set up the pickups of a round, unless the room turned them off.
+ */
+function initPowerUps(room, RBush, tickRate) {
+  const settings = {
+    ...DEFAULT_POWER_UPS,
+    ...((room.options && room.options.powerUps) || {}),
+  };
+  room.pickups = null;
+  room.pickupSpatialIndex = null;
+  if (!settings.enabled) return;
+
+  room.powerUps = settings;
+  room.pickups = new Map();
+  room.pickupSpatialIndex = new RBush();
+  room.pickupIdCounter = 1;
+  room.nextPickupTick =
+    room.tick + Math.round(settings.spawnIntervalSec * tickRate);
+}
+
+/**
+ * Recompute player.modifiers from its effects. A size change rescales
+ * the player right away.
+ */
+function applyModifiers(room, player) {
+  const modifiers = neutralModifiers();
+  player.effects.forEach((effect) => {
+    const definition = DEFINITIONS[effect.type];
+    Object.entries(definition.modifiers || {}).forEach(([key, value]) => {
+      if (MODIFIERS[key] === "flag") {
+        modifiers[key] = modifiers[key] || value;
+      } else {
+        modifiers[key] *= value ** effect.stacks;
+      }
+    });
+  });
+
+  if (modifiers.size !== player.modifiers.size) {
+    player.mass *= modifiers.size / player.modifiers.size;
+    if (!player.isDead) updatePlayerIndex(room, player);
+  }
+  player.modifiers = modifiers;
+  player.effectNames = [...player.effects.keys()];
+}
+
+/**
+ * Give `player` the effect of a `type` pickup, following its stacking
+ * rule.
+ */
+function grantEffect(room, player, type, tickRate) {
+  const definition = DEFINITIONS[type];
+  const durationTicks = Math.round(definition.durationSec * tickRate);
+
+  if (definition.group) {
+    player.effects.forEach((effect, otherType) => {
+      if (
+        otherType !== type &&
+        DEFINITIONS[otherType].group === definition.group
+      ) {
+        player.effects.delete(otherType);
+      }
+    });
+  }
+
+  const effect = player.effects.get(type);
+  if (!effect) {
+    player.effects.set(type, {
+      type,
+      stacks: 1,
+      expiresTick: room.tick + durationTicks,
+    });
+  } else if (definition.stacking === "extend") {
+    effect.expiresTick = Math.min(
+      effect.expiresTick + durationTicks,
+      room.tick + Math.round(definition.maxDurationSec * tickRate)
+    );
+  } else {
+    if (definition.stacking === "stack") {
+      effect.stacks = Math.min(definition.maxStacks, effect.stacks + 1);
+    }
+    effect.expiresTick = room.tick + durationTicks;
+  }
+  applyModifiers(room, player);
+}
+
+function expireEffects(room, player) {
+  let expired = false;
+  player.effects.forEach((effect, type) => {
+    if (room.tick >= effect.expiresTick) {
+      player.effects.delete(type);
+      expired = true;
+    }
+  });
+  if (expired) applyModifiers(room, player);
+}
+
+function removePickup(room, pickup) {
+  room.pickupSpatialIndex.remove(pickup.entry);
+  room.pickups.delete(pickup.id);
+}
+
+/**
+ * Where the next pickup goes: a free spot of the map, or anywhere clear.
+ */
+function pickSpawnPosition(room) {
+  const taken = [...room.pickups.values()];
+  const spots = ((room.map && room.map.powerUpSpots) || []).filter(
+    (spot) =>
+      !taken.some((pickup) => pickup.x === spot.x && pickup.y === spot.y)
+  );
+  if (spots.length > 0) {
+    return spots[Math.floor(Math.random() * spots.length)];
+  }
+  if (room.map && room.map.powerUpSpots.length > 0) return null;
+  return randomClearPoint(room, PICKUP_RADIUS);
+}
+
+function spawnPickup(room) {
+  const position = pickSpawnPosition(room);
+  if (!position) return;
+
+  const { types } = room.powerUps;
+  const pickup = {
+    id: room.pickupIdCounter++,
+    type: types[Math.floor(Math.random() * types.length)],
+    x: position.x,
+    y: position.y,
+  };
+  pickup.entry = {
+    minX: pickup.x - PICKUP_RADIUS,
+    minY: pickup.y - PICKUP_RADIUS,
+    maxX: pickup.x + PICKUP_RADIUS,
+    maxY: pickup.y + PICKUP_RADIUS,
+    pickup,
+  };
+  room.pickups.set(pickup.id, pickup);
+  room.pickupSpatialIndex.insert(pickup.entry);
+}
+
+/**
+ * Live players pick up whatever they touch.
+ */
+function collectPickups(room, tickRate) {
+  room.alivePlayers.forEach((socketId) => {
+    const player = room.playersMap.get(socketId);
+    if (!player) return;
+    const reach = player.mass + PICKUP_RADIUS;
+    room.pickupSpatialIndex
+      .search({
+        minX: player.x - player.mass,
+        minY: player.y - player.mass,
+        maxX: player.x + player.mass,
+        maxY: player.y + player.mass,
+      })
+      .forEach(({ pickup }) => {
+        if (!room.pickups.has(pickup.id)) return;
+        const dx = pickup.x - player.x;
+        const dy = pickup.y - player.y;
+        if (dx * dx + dy * dy >= reach * reach) return;
+
+        removePickup(room, pickup);
+        grantEffect(room, player, pickup.type, tickRate);
+      });
+  });
+}
+
+/**
+ * One tick: expire effects, spawn on schedule, hand out pickups.
+ */
+function updatePowerUps(room, tickRate) {
+  room.alivePlayers.forEach((socketId) => {
+    const player = room.playersMap.get(socketId);
+    if (player && player.effects) expireEffects(room, player);
+  });
+  if (!room.pickups) return;
+
+  if (room.tick >= room.nextPickupTick) {
+    room.nextPickupTick += Math.round(
+      room.powerUps.spawnIntervalSec * tickRate
+    );
+    if (room.pickups.size < room.powerUps.maxActive) spawnPickup(room);
+  }
+  collectPickups(room, tickRate);
+}
+
+/**
+ * A player's own effects as it sees them in snapshots.
+ */
+function describeEffects(room, player, tickRate) {
+  return [...player.effects.values()].map((effect) => ({
+    type: effect.type,
+    stacks: effect.stacks,
+    remainingMs: Math.max(
+      0,
+      Math.round(((effect.expiresTick - room.tick) * 1000) / tickRate)
+    ),
+  }));
+}
+
+module.exports = {
+  POWER_UP_TYPES,
+  PICKUP_RADIUS,
+  DEFAULT_POWER_UPS,
+  validatePowerUpOptions,
+  resetPowerUps,
+  initPowerUps,
+  updatePowerUps,
+  describeEffects,
+};
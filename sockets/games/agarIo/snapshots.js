@@ -0,0 +1,328 @@
+/************************************
+ * sockets/games/agarIo/snapshots.js
+ ************************************/
+const { emitToSocket } = require("../../../utils/wireProtocol");
+
+/**
+ * Per-client game state. Each client only hears about the entities
+ * (players, bullets, food, cells, pickups) inside its area of interest (the
+ * scoreboard is always whole), and only about the fields that
+ * changed since the last snapshot it acknowledged (`snapshotAck`). It
+ * gets a full keyframe instead when it has no usable baseline, and at
+ * least every KEYFRAME_INTERVAL ticks.
+ *
+ * A delta carries `baseTick`: the client applies it on top of its copy
+ * of that snapshot. Entities missing from a delta are unchanged; those
+ * that left the view are listed in removedPlayers, removedBullets, ...
+ */
+
+/** Half-width of the square a live player sees around itself */
+const INTEREST_RADIUS = 600;
+/** Ticks between forced keyframes */
+const KEYFRAME_INTERVAL = 90;
+/** Unacknowledged snapshots kept per client (older acks are ignored) */
+const MAX_UNACKED_SNAPSHOTS = 90;
+
+function boundsOf(x, y, radius) {
+  return {
+    minX: x - radius,
+    minY: y - radius,
+    maxX: x + radius,
+    maxY: y + radius,
+  };
+}
+
+/**
+ * Rebuild the bullet index from the bullets' current positions. Bullets
+ * all move every tick, so a bulk load beats updating entries one by one.
+ */
+function indexBullets(room) {
+  room.bulletSpatialIndex.clear();
+  room.bulletSpatialIndex.load(
+    room.bullets.map((bullet) => ({
+      ...boundsOf(bullet.x, bullet.y, bullet.radius),
+      bullet,
+    }))
+  );
+}
+
+/**
+ * What `socketId` can see: a square around its live player, or the
+ * whole world for spectators and eliminated players.
+ */
+function getInterestArea(room, socketId, worldSize) {
+  const player = room.playersMap.get(socketId);
+  if (player && !player.isDead) {
+    return boundsOf(player.x, player.y, INTEREST_RADIUS + player.mass);
+  }
+  return { minX: 0, minY: 0, maxX: worldSize.width, maxY: worldSize.height };
+}
+
+function contains(area, x, y) {
+  return x >= area.minX && x <= area.maxX && y >= area.minY && y <= area.maxY;
+}
+
+/**
+ * What a snapshot carries, per entity kind: `collect(room, area)` maps
+ * the visible entities' numeric ids to their wire form. A kind whose
+ * index the room doesn't have (food outside classic mode) is skipped.
+ */
+const ENTITY_KINDS = [
+  {
+    name: "players",
+    removedName: "removedPlayers",
+    collect: (room, area) =>
+      room.playerSpatialIndex.search(area).map(({ player }) =>
+        player.isDead
+          ? null
+          : {
+              id: player.netId,
+              socketId: player.socketId,
+              userName: player.userName,
+              x: player.x,
+              y: player.y,
+              mass: player.mass,
+              speed: player.speed,
+              lastInputSeq: player.lastInputSeq,
+              health: Math.ceil(player.health),
+              invulnerable: room.tick < player.invulnerableUntilTick,
+              effects: player.effectNames,
+            }
+      ),
+  },
+  {
+    name: "bullets",
+    removedName: "removedBullets",
+    collect: (room, area) =>
+      room.bulletSpatialIndex.search(area).map(({ bullet }) => ({
+        id: bullet.id,
+        owner: bullet.ownerNetId,
+        x: bullet.x,
+        y: bullet.y,
+        radius: bullet.radius,
+      })),
+  },
+  {
+    name: "food",
+    removedName: "removedFood",
+    collect: (room, area) =>
+      room.foodSpatialIndex &&
+      room.foodSpatialIndex.search(area).map(({ pellet }) => ({
+        id: pellet.id,
+        x: pellet.x,
+        y: pellet.y,
+        mass: pellet.mass,
+      })),
+  },
+  {
+    name: "cells",
+    removedName: "removedCells",
+    collect: (room, area) =>
+      room.cellSpatialIndex &&
+      room.cellSpatialIndex.search(area).map(({ body: { cell } }) =>
+        cell && room.cells.has(cell.id)
+          ? {
+              id: cell.id,
+              owner: cell.owner.netId,
+              x: cell.x,
+              y: cell.y,
+              mass: cell.mass,
+            }
+          : null
+      ),
+  },
+  {
+    name: "pickups",
+    removedName: "removedPickups",
+    collect: (room, area) =>
+      room.pickupSpatialIndex &&
+      room.pickupSpatialIndex.search(area).map(({ pickup }) => ({
+        id: pickup.id,
+        type: pickup.type,
+        x: pickup.x,
+        y: pickup.y,
+      })),
+  },
+  {
+    // Everyone sees the whole scoreboard, wherever they are
+    name: "scoreboard",
+    removedName: "removedScores",
+    collect: (room) =>
+      room.scores && [...room.scores.values()].map((row) => ({ ...row })),
+  },
+];
+
+/**
+ * Entity kind name -> Map(id -> wire entry) of what's inside `area`.
+ */
+function collectVisible(room, area) {
+  const visible = {};
+  ENTITY_KINDS.forEach(({ name, collect }) => {
+    const entries = collect(room, area);
+    if (!entries) return;
+    visible[name] = new Map();
+    entries.forEach((entry) => {
+      if (entry) visible[name].set(entry.id, entry);
+    });
+  });
+  return visible;
+}
+
+/**
+ * Entries that are new or changed against `baseline` (changed entries
+ * only carry their id and the changed fields), and the ids that are
+ * gone. Without a baseline everything is listed in full.
+ */
+function diffEntities(current, baseline) {
+  const changed = [];
+  current.forEach((entry, id) => {
+    const previous = baseline && baseline.get(id);
+    if (!previous) {
+      changed.push(entry);
+      return;
+    }
+    const delta = { id };
+    let hasChanges = false;
+    Object.keys(entry).forEach((field) => {
+      if (entry[field] !== previous[field]) {
+        delta[field] = entry[field];
+        hasChanges = true;
+      }
+    });
+    if (hasChanges) changed.push(delta);
+  });
+
+  const removed = [];
+  if (baseline) {
+    baseline.forEach((_, id) => {
+      if (!current.has(id)) removed.push(id);
+    });
+  }
+  return { changed, removed };
+}
+
+function getViewer(room, socketId) {
+  let viewer = room.viewers.get(socketId);
+  if (!viewer) {
+    // sent: tick -> collectVisible() as sent, until acked or evicted
+    viewer = { sent: new Map(), ackedTick: null, keyframeTick: null };
+    room.viewers.set(socketId, viewer);
+  }
+  return viewer;
+}
+
+/**
+ * Build and send the current tick's snapshot to every socket in
+ * `channel`. `shared` holds fields every snapshot carries as-is
+ * (roomId, winner, ...); `describeViewer(socketId)` may add fields only
+ * that client gets (its own weapon state, ...).
+ */
+function sendSnapshots(
+  io,
+  channel,
+  room,
+  { worldSize, wireSchemas, shared, describeViewer }
+) {
+  const socketIds = io.sockets.adapter.rooms.get(channel) || new Set();
+
+  // Forget clients that left the channel
+  room.viewers.forEach((_, socketId) => {
+    if (!socketIds.has(socketId)) room.viewers.delete(socketId);
+  });
+
+  socketIds.forEach((socketId) => {
+    const viewer = getViewer(room, socketId);
+    const area = getInterestArea(room, socketId, worldSize);
+    const visible = collectVisible(room, area);
+
+    // A second send within one tick replaces the first, so it can't be
+    // a delta against anything the client might hold for that tick
+    const baseline =
+      viewer.ackedTick !== null ? viewer.sent.get(viewer.ackedTick) : null;
+    const keyframe =
+      !baseline ||
+      viewer.sent.has(room.tick) ||
+      room.tick - viewer.keyframeTick >= KEYFRAME_INTERVAL;
+    const base = keyframe ? null : baseline;
+
+    const entities = {};
+    ENTITY_KINDS.forEach(({ name, removedName }) => {
+      if (!visible[name]) return;
+      const { changed, removed } = diffEntities(
+        visible[name],
+        base && base[name]
+      );
+      entities[name] = changed;
+      entities[removedName] = removed;
+    });
+
+    viewer.sent.delete(room.tick);
+    viewer.sent.set(room.tick, visible);
+    if (viewer.sent.size > MAX_UNACKED_SNAPSHOTS) {
+      viewer.sent.delete(viewer.sent.keys().next().value);
+    }
+    if (keyframe) viewer.keyframeTick = room.tick;
+
+    emitToSocket(
+      io,
+      socketId,
+      "gameStateUpdate",
+      {
+        ...shared,
+        ...(describeViewer ? describeViewer(socketId) : {}),
+        tick: room.tick,
+        keyframe,
+        baseTick: keyframe ? null : viewer.ackedTick,
+        view: area,
+        ...entities,
+      },
+      wireSchemas
+    );
+  });
+}
+
+/**
+ * The client has applied the snapshot for `tick`: use it as the
+ * baseline for the next deltas. Returns false if that snapshot is no
+ * longer (or was never) held.
+ */
+function acknowledgeSnapshot(room, socketId, tick) {
+  const viewer = room.viewers.get(socketId);
+  if (!viewer || !viewer.sent.has(tick)) return false;
+  if (viewer.ackedTick !== null && tick <= viewer.ackedTick) return true;
+
+  viewer.ackedTick = tick;
+  viewer.sent.forEach((_, sentTick) => {
+    if (sentTick < tick) viewer.sent.delete(sentTick);
+  });
+  return true;
+}
+
+/**
+ * Emit `eventName` to the sockets in `channel` whose area of interest
+ * contains (x, y).
+ */
+function emitToInterested(
+  io,
+  channel,
+  room,
+  worldSize,
+  { x, y },
+  { eventName, payload, wireSchemas }
+) {
+  const socketIds = io.sockets.adapter.rooms.get(channel) || new Set();
+  socketIds.forEach((socketId) => {
+    if (contains(getInterestArea(room, socketId, worldSize), x, y)) {
+      emitToSocket(io, socketId, eventName, payload, wireSchemas);
+    }
+  });
+}
+
+module.exports = {
+  INTEREST_RADIUS,
+  KEYFRAME_INTERVAL,
+  indexBullets,
+  sendSnapshots,
+  acknowledgeSnapshot,
+  emitToInterested,
+};
@@ -0,0 +1,163 @@
+/************************************
+ * sockets/games/agarIo/walls.js
+ ************************************/
+
+/**
+ * Static walls of the room's map (./maps.js): axis-aligned rectangles
+ * { x, y, width, height } indexed in room.wallSpatialIndex. Players and
+ * cells are pushed back out of them, bullets stop at them and nothing
+ * spawns inside them.
+ */
+
+/** Random spots tried when looking for a place clear of walls */
+const CLEAR_POINT_TRIES = 20;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function boundsOf(x, y, radius) {
+  return {
+    minX: x - radius,
+    minY: y - radius,
+    maxX: x + radius,
+    maxY: y + radius,
+  };
+}
+
+/**
+ * Index the map's walls for the round.
+ */
+function indexWalls(room, RBush, walls) {
+  room.wallSpatialIndex = new RBush();
+  room.wallSpatialIndex.load(
+    walls.map((wall) => ({
+      minX: wall.x,
+      minY: wall.y,
+      maxX: wall.x + wall.width,
+      maxY: wall.y + wall.height,
+      wall,
+    }))
+  );
+}
+
+function wallsNear(room, bounds) {
+  return room.wallSpatialIndex
+    ? room.wallSpatialIndex.search(bounds).map(({ wall }) => wall)
+    : [];
+}
+
+/**
+ * Offset from the point of `wall` nearest to (x, y) to (x, y).
+ */
+function offsetFromWall(wall, x, y) {
+  return {
+    dx: x - clamp(x, wall.x, wall.x + wall.width),
+    dy: y - clamp(y, wall.y, wall.y + wall.height),
+  };
+}
+
+/**
+ * Whether a circle at (x, y) stays clear of every wall.
+ */
+function isClear(room, x, y, radius) {
+  return wallsNear(room, boundsOf(x, y, radius)).every((wall) => {
+    const { dx, dy } = offsetFromWall(wall, x, y);
+    return dx * dx + dy * dy >= radius * radius;
+  });
+}
+
+/**
+ * A random point of the world where a circle of `radius` fits between
+ * the walls (or the last one tried, on a crowded map).
+ */
+function randomClearPoint(room, radius) {
+  const { width, height } = room.worldSize;
+  let point;
+  for (let i = 0; i < CLEAR_POINT_TRIES; i++) {
+    point = { x: Math.random() * width, y: Math.random() * height };
+    if (isClear(room, point.x, point.y, radius)) break;
+  }
+  return point;
+}
+
+/**
+ * Move a circular `body` ({ x, y }) of `radius` out of any wall it
+ * overlaps, along the shortest way out.
+ */
+function pushOutOfWalls(room, body, radius) {
+  wallsNear(room, boundsOf(body.x, body.y, radius)).forEach((wall) => {
+    const { dx, dy } = offsetFromWall(wall, body.x, body.y);
+    const distSq = dx * dx + dy * dy;
+    if (distSq >= radius * radius) return;
+
+    if (distSq > 0) {
+      const distance = Math.sqrt(distSq);
+      body.x += (dx / distance) * (radius - distance);
+      body.y += (dy / distance) * (radius - distance);
+      return;
+    }
+
+    // Centre inside the wall: leave through the nearest side
+    const exits = [
+      { x: wall.x - radius, y: body.y },
+      { x: wall.x + wall.width + radius, y: body.y },
+      { x: body.x, y: wall.y - radius },
+      { x: body.x, y: wall.y + wall.height + radius },
+    ];
+    const [exit] = exits.sort(
+      (a, b) =>
+        Math.abs(a.x - body.x) +
+        Math.abs(a.y - body.y) -
+        (Math.abs(b.x - body.x) + Math.abs(b.y - body.y))
+    );
+    body.x = exit.x;
+    body.y = exit.y;
+  });
+
+  body.x = clamp(body.x, 0, room.worldSize.width);
+  body.y = clamp(body.y, 0, room.worldSize.height);
+}
+
+/**
+ * Whether a circle of `radius` moving from (x0, y0) to (x1, y1) touches
+ * a wall on the way (so fast bullets can't tunnel through thin walls).
+ */
+function sweepHitsWall(room, x0, y0, x1, y1, radius) {
+  const bounds = {
+    minX: Math.min(x0, x1) - radius,
+    minY: Math.min(y0, y1) - radius,
+    maxX: Math.max(x0, x1) + radius,
+    maxY: Math.max(y0, y1) + radius,
+  };
+  return wallsNear(room, bounds).some((wall) => {
+    // Segment against the wall grown by the radius (slab test)
+    let enter = 0;
+    let exit = 1;
+    const axes = [
+      [x0, x1 - x0, wall.x - radius, wall.x + wall.width + radius],
+      [y0, y1 - y0, wall.y - radius, wall.y + wall.height + radius],
+    ];
+    for (const [start, delta, min, max] of axes) {
+      if (delta === 0) {
+        if (start < min || start > max) return false;
+        continue;
+      }
+      let t0 = (min - start) / delta;
+      let t1 = (max - start) / delta;
+      if (t0 > t1) [t0, t1] = [t1, t0];
+      enter = Math.max(enter, t0);
+      exit = Math.min(exit, t1);
+      if (enter > exit) return false;
+    }
+    return true;
+  });
+}
+
+module.exports = {
+  indexWalls,
+  isClear,
+  randomClearPoint,
+  pushOutOfWalls,
+  sweepHitsWall,
+};
@@ -0,0 +1,165 @@
+/************************************
+ * sockets/games/agarIo/weapons.js
+ ************************************/
+const { GameError } = require("../../../utils/errorCodes");
+
+/**
+ * Server-side weapon rules. A player starts charging with `chargeStart`;
+ * on `shoot` the charge time measured here picks the bullet type. Every
+ * shot costs energy from a pool that refills over time, and players must
+ * wait `cooldownMs` between shots.
+ *
+ * Rooms override any of these with the `weapon` option.
+ */
+const DEFAULT_WEAPON = {
+  // Charge at least this long for a fullyCharged shot
+  fullChargeMs: 1000,
+  cooldownMs: 250,
+  maxEnergy: 100,
+  energyRegenPerSec: 20,
+  energyCost: { charged: 10, fullyCharged: 40 },
+};
+
+/** Allowed range for each numeric weapon setting */
+const WEAPON_LIMITS = {
+  fullChargeMs: [0, 10000],
+  cooldownMs: [0, 10000],
+  maxEnergy: [1, 1000],
+  energyRegenPerSec: [0, 1000],
+};
+const MAX_ENERGY_COST = 1000;
+
+/**
+ * Error message for an invalid `weapon` room option, or null. Any
+ * subset of DEFAULT_WEAPON's keys may be given.
+ */
+function validateWeaponOptions(weapon, bulletTypes) {
+  if (!weapon || typeof weapon !== "object" || Array.isArray(weapon)) {
+    return "weapon must be an object.";
+  }
+  for (const [key, value] of Object.entries(weapon)) {
+    if (key === "energyCost") {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return "weapon.energyCost must be an object.";
+      }
+      for (const [type, cost] of Object.entries(value)) {
+        if (!bulletTypes.includes(type)) {
+          return `weapon.energyCost has unknown bullet type "${type}".`;
+        }
+        if (typeof cost !== "number" || cost < 0 || cost > MAX_ENERGY_COST) {
+          return `weapon.energyCost.${type} must be between 0 and ${MAX_ENERGY_COST}.`;
+        }
+      }
+      continue;
+    }
+    const limits = WEAPON_LIMITS[key];
+    if (!limits) return `Unknown weapon setting "${key}".`;
+    if (typeof value !== "number" || value < limits[0] || value > limits[1]) {
+      return `weapon.${key} must be between ${limits[0]} and ${limits[1]}.`;
+    }
+  }
+  return null;
+}
+
+/**
+ * The room's weapon settings: its `weapon` option over the defaults.
+ */
+function resolveWeapon(options) {
+  const weapon = (options && options.weapon) || {};
+  return {
+    ...DEFAULT_WEAPON,
+    ...weapon,
+    energyCost: { ...DEFAULT_WEAPON.energyCost, ...weapon.energyCost },
+  };
+}
+
+function resetWeapon(player, weapon) {
+  player.energy = weapon.maxEnergy;
+  player.cooldownUntil = 0;
+  player.chargeStartedAt = null;
+}
+
+/**
+ * Refill every live player's energy for one tick of `dtSec` seconds.
+ */
+function regenerateEnergy(room, dtSec) {
+  const { maxEnergy, energyRegenPerSec } = room.weapon;
+  room.alivePlayers.forEach((socketId) => {
+    const player = room.playersMap.get(socketId);
+    if (!player) return;
+    player.energy = Math.min(
+      maxEnergy,
+      player.energy + energyRegenPerSec * dtSec
+    );
+  });
+}
+
+function startCharge(player, now = Date.now()) {
+  player.chargeStartedAt = now;
+}
+
+/**
+ * Check a shot against the rules and spend its energy. Returns the
+ * bullet type earned by the charge, downgraded to "charged" if the
+ * room disallows fullyCharged. Throws GameError if the player may not
+ * fire yet.
+ */
+function fireWeapon(player, weapon, allowedTypes, now = Date.now()) {
+  if (now < player.cooldownUntil) {
+    throw new GameError("WEAPON_COOLDOWN", undefined, {
+      remainingMs: player.cooldownUntil - now,
+    });
+  }
+
+  const chargeMs =
+    player.chargeStartedAt === null ? 0 : now - player.chargeStartedAt;
+  let bulletType = chargeMs >= weapon.fullChargeMs ? "fullyCharged" : "charged";
+  if (bulletType === "fullyCharged" && !allowedTypes.includes(bulletType)) {
+    bulletType = "charged";
+  }
+  if (!allowedTypes.includes(bulletType)) {
+    throw new GameError(
+      "BULLET_TYPE_NOT_ALLOWED",
+      `Charge for ${weapon.fullChargeMs}ms to fire in this room.`
+    );
+  }
+
+  // Power-ups may make shots cheaper and quicker (./powerUps.js)
+  const { cooldown = 1, energyCost = 1 } = player.modifiers || {};
+  const cost = (weapon.energyCost[bulletType] || 0) * energyCost;
+  if (player.energy < cost) {
+    throw new GameError("NOT_ENOUGH_ENERGY", undefined, {
+      energy: player.energy,
+      cost,
+    });
+  }
+
+  player.energy -= cost;
+  player.cooldownUntil = now + weapon.cooldownMs * cooldown;
+  player.chargeStartedAt = null;
+  return { bulletType, chargeMs };
+}
+
+/**
+ * The weapon state a player sees about itself in snapshots.
+ */
+function describeWeapon(player, weapon, now = Date.now()) {
+  return {
+    cooldownMs: Math.max(0, player.cooldownUntil - now),
+    energy: player.energy,
+    maxEnergy: weapon.maxEnergy,
+    chargeMs:
+      player.chargeStartedAt === null ? 0 : now - player.chargeStartedAt,
+  };
+}
+
+module.exports = {
+  DEFAULT_WEAPON,
+  validateWeaponOptions,
+  resolveWeapon,
+  resetWeapon,
+  regenerateEnergy,
+  startCharge,
+  fireWeapon,
+  describeWeapon,
+};
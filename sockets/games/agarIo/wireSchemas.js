@@ -0,0 +1,190 @@
+/************************************
+ * sockets/games/agarIo/wireSchemas.js
+ ************************************/
+
+/**
+ * Binary layouts of Agar.io's real-time messages (see
+ * utils/wireProtocol.js). Players are addressed by their numeric `id`;
+ * socketId and userName only travel when a player first shows up.
+ */
+const AREA = {
+  object: [
+    ["minX", "coord"],
+    ["minY", "coord"],
+    ["maxX", "coord"],
+    ["maxY", "coord"],
+  ],
+};
+
+const PLAYER = {
+  object: [
+    ["id", "uint"],
+    ["socketId", "string"],
+    ["userName", "string"],
+    ["x", "coord"],
+    ["y", "coord"],
+    ["mass", "float"],
+    ["speed", "float"],
+    ["lastInputSeq", "uint"],
+    ["health", "uint"],
+    ["invulnerable", "bool"],
+    ["effects", { array: "string" }],
+  ],
+};
+
+const PICKUP = {
+  object: [
+    ["id", "uint"],
+    ["type", "string"],
+    ["x", "coord"],
+    ["y", "coord"],
+  ],
+};
+
+const BULLET = {
+  object: [
+    ["id", "uint"],
+    ["owner", "uint"],
+    ["x", "coord"],
+    ["y", "coord"],
+    ["radius", "float"],
+  ],
+};
+
+const PELLET = {
+  object: [
+    ["id", "uint"],
+    ["x", "coord"],
+    ["y", "coord"],
+    ["mass", "float"],
+  ],
+};
+
+const CELL = {
+  object: [
+    ["id", "uint"],
+    ["owner", "uint"],
+    ["x", "coord"],
+    ["y", "coord"],
+    ["mass", "float"],
+  ],
+};
+
+const SCORE = {
+  object: [
+    ["id", "uint"],
+    ["userName", "string"],
+    ["kills", "uint"],
+    ["deaths", "uint"],
+    ["streak", "uint"],
+    ["bestStreak", "uint"],
+    ["score", "uint"],
+  ],
+};
+
+const CIRCLE = {
+  object: [
+    ["x", "coord"],
+    ["y", "coord"],
+    ["radius", "coord"],
+  ],
+};
+
+const ZONE = {
+  object: [
+    ["phase", "uint"],
+    ["shrinking", "bool"],
+    ["current", CIRCLE],
+    ["next", CIRCLE],
+    ["shrinkInMs", "uint"],
+  ],
+};
+
+const VECTOR = {
+  object: [
+    ["x", "float"],
+    ["y", "float"],
+  ],
+};
+
+const WIRE_SCHEMAS = {
+  // Server -> client
+  gameStateUpdate: {
+    object: [
+      ["roomId", "string"],
+      ["tick", "uint"],
+      ["tickRate", "uint"],
+      ["keyframe", "bool"],
+      ["baseTick", "uint"],
+      ["view", AREA],
+      ["players", { array: PLAYER }],
+      ["removedPlayers", { array: "uint" }],
+      ["bullets", { array: BULLET }],
+      ["removedBullets", { array: "uint" }],
+      ["food", { array: PELLET }],
+      ["removedFood", { array: "uint" }],
+      ["cells", { array: CELL }],
+      ["removedCells", { array: "uint" }],
+      ["pickups", { array: PICKUP }],
+      ["removedPickups", { array: "uint" }],
+      ["scoreboard", { array: SCORE }],
+      ["removedScores", { array: "uint" }],
+      ["winner", "string"],
+      ["matchType", "string"],
+      ["timeLeftMs", "uint"],
+      ["respawnInMs", "uint"],
+      ["zone", ZONE],
+      [
+        "weapon",
+        {
+          object: [
+            ["cooldownMs", "uint"],
+            ["energy", "float"],
+            ["maxEnergy", "uint"],
+            ["chargeMs", "uint"],
+          ],
+        },
+      ],
+      [
+        "effects",
+        {
+          array: {
+            object: [
+              ["type", "string"],
+              ["stacks", "uint"],
+              ["remainingMs", "uint"],
+            ],
+          },
+        },
+      ],
+    ],
+  },
+  bulletCreated: {
+    object: [
+      ["id", "uint"],
+      ["owner", "uint"],
+      ["x", "coord"],
+      ["y", "coord"],
+      ["vx", "float"],
+      ["vy", "float"],
+      ["radius", "float"],
+      ["type", "string"],
+    ],
+  },
+
+  // Client -> server
+  playerMove: {
+    object: [
+      ["direction", "string"],
+      ["vector", VECTOR],
+      ["seq", "uint"],
+    ],
+  },
+  chargeStart: { object: [] },
+  shoot: { object: [["direction", VECTOR]] },
+  split: { object: [] },
+  ejectMass: { object: [] },
+  snapshotAck: { object: [["tick", "uint"]] },
+};
+
+module.exports = WIRE_SCHEMAS;
@@ -0,0 +1,252 @@
+/************************************
+ * sockets/games/agarIo/zone.js
+ ************************************/
+const { applyDamage } = require("./combat");
+const { START_MASS, setPlayerMass } = require("./classic");
+
+/**
+ * The shrinking safe zone of battle-royale rounds (`matchType:
+ * "battleRoyale"`). The zone starts as the circle around the whole
+ * world. Each phase waits `waitSec`, then shrinks over `shrinkSec`
+ * towards a random smaller circle inside the current one; the radii
+ * step evenly down to `finalRadius` over the phases.
+ *
+ * Outside the zone shooter players lose `damagePerSec` health, classic
+ * cells `massLossPerSec` mass (a player whose main cell drops below
+ * MIN_MASS is out).
+ *
+ * Maps may preset any of these (./maps.js); rooms override both with
+ * the `zone` option.
+ */
+const DEFAULT_ZONE = {
+  phases: [
+    { waitSec: 30, shrinkSec: 20 },
+    { waitSec: 20, shrinkSec: 15 },
+    { waitSec: 15, shrinkSec: 10 },
+    { waitSec: 10, shrinkSec: 10 },
+  ],
+  finalRadius: 50,
+  damagePerSec: 10,
+  massLossPerSec: 2,
+};
+
+/** Allowed range for each numeric zone setting */
+const ZONE_LIMITS = {
+  finalRadius: [0, 5000],
+  damagePerSec: [0, 1000],
+  massLossPerSec: [0, 1000],
+};
+const PHASE_LIMITS = {
+  waitSec: [0, 600],
+  shrinkSec: [1, 600],
+};
+const MAX_PHASES = 10;
+
+/** Classic players whose main cell shrinks below this are out */
+const MIN_MASS = START_MASS / 2;
+
+function checkRange(name, value, [min, max]) {
+  if (typeof value !== "number" || value < min || value > max) {
+    return `${name} must be between ${min} and ${max}.`;
+  }
+  return null;
+}
+
+/**
+ * Error message for an invalid `zone` room option, or null. Any subset
+ * of DEFAULT_ZONE's keys may be given.
+ */
+function validateZoneOptions(zone) {
+  if (!zone || typeof zone !== "object" || Array.isArray(zone)) {
+    return "zone must be an object.";
+  }
+  for (const [key, value] of Object.entries(zone)) {
+    if (key === "phases") {
+      if (
+        !Array.isArray(value) ||
+        value.length === 0 ||
+        value.length > MAX_PHASES
+      ) {
+        return `zone.phases must be a list of 1 to ${MAX_PHASES} phases.`;
+      }
+      for (const phase of value) {
+        if (!phase || typeof phase !== "object") {
+          return "Each zone phase must be an object.";
+        }
+        for (const [field, limits] of Object.entries(PHASE_LIMITS)) {
+          const error = checkRange(`zone phase ${field}`, phase[field], limits);
+          if (error) return error;
+        }
+      }
+      continue;
+    }
+    const limits = ZONE_LIMITS[key];
+    if (!limits) return `Unknown zone setting "${key}".`;
+    const error = checkRange(`zone.${key}`, value, limits);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * The room's zone settings: its `zone` option over the map's preset
+ * over the defaults.
+ */
+function resolveZone(room) {
+  return {
+    ...DEFAULT_ZONE,
+    ...((room.map && room.map.zone) || {}),
+    ...((room.options && room.options.zone) || {}),
+  };
+}
+
+/**
+ * A random circle of `radius` inside `circle`.
+ */
+function pickNextCircle(circle, radius) {
+  const angle = Math.random() * 2 * Math.PI;
+  const offset = Math.sqrt(Math.random()) * Math.max(0, circle.radius - radius);
+  return {
+    x: circle.x + Math.cos(angle) * offset,
+    y: circle.y + Math.sin(angle) * offset,
+    radius,
+  };
+}
+
+/**
+ * Plan phase `room.zone.phase` (if any is left), starting now.
+ */
+function startPhase(room, tickRate) {
+  const zone = room.zone;
+  const { phases, finalRadius } = zone.settings;
+  const phase = phases[zone.phase];
+  zone.from = zone.current;
+  if (!phase) {
+    zone.next = null;
+    return;
+  }
+
+  const radius =
+    zone.startRadius +
+    ((finalRadius - zone.startRadius) * (zone.phase + 1)) / phases.length;
+  zone.next = pickNextCircle(
+    zone.current,
+    Math.min(radius, zone.current.radius)
+  );
+  zone.shrinkStartTick = room.tick + Math.round(phase.waitSec * tickRate);
+  zone.shrinkEndTick =
+    zone.shrinkStartTick + Math.round(phase.shrinkSec * tickRate);
+}
+
+/**
+ * Set up the zone of a battle-royale room.
+ */
+function initZone(room, worldSize, tickRate) {
+  const startRadius =
+    Math.sqrt(worldSize.width ** 2 + worldSize.height ** 2) / 2;
+  room.zone = {
+    settings: resolveZone(room),
+    startRadius,
+    phase: 0,
+    current: {
+      x: worldSize.width / 2,
+      y: worldSize.height / 2,
+      radius: startRadius,
+    },
+    from: null,
+    next: null,
+    shrinkStartTick: 0,
+    shrinkEndTick: 0,
+  };
+  startPhase(room, tickRate);
+}
+
+/**
+ * Shrink the zone for this tick, moving on to the next phase when the
+ * current one is done.
+ */
+function updateZone(room, tickRate) {
+  const zone = room.zone;
+  if (!zone.next || room.tick < zone.shrinkStartTick) return;
+
+  const t = Math.min(
+    1,
+    (room.tick - zone.shrinkStartTick) /
+      Math.max(1, zone.shrinkEndTick - zone.shrinkStartTick)
+  );
+  const { from, next } = zone;
+  zone.current = {
+    x: from.x + (next.x - from.x) * t,
+    y: from.y + (next.y - from.y) * t,
+    radius: from.radius + (next.radius - from.radius) * t,
+  };
+  if (t === 1) {
+    zone.phase++;
+    startPhase(room, tickRate);
+  }
+}
+
+function isOutside(zone, x, y) {
+  const { current } = zone;
+  return (x - current.x) ** 2 + (y - current.y) ** 2 > current.radius ** 2;
+}
+
+/**
+ * Hurt everything outside the zone for one tick of `dtSec` seconds.
+ * Calls `onEliminated(player)` for players it takes out.
+ */
+function damageOutsideZone(room, dtSec, onEliminated) {
+  const zone = room.zone;
+  const { damagePerSec, massLossPerSec } = zone.settings;
+
+  const outside = [...room.alivePlayers]
+    .map((socketId) => room.playersMap.get(socketId))
+    .filter((player) => player && isOutside(zone, player.x, player.y));
+  outside.forEach((player) => {
+    if (room.mode === "classic") {
+      const mass = player.mass - massLossPerSec * dtSec;
+      if (mass < MIN_MASS) {
+        onEliminated(player);
+      } else {
+        setPlayerMass(room, player, mass);
+      }
+    } else if (applyDamage(player, damagePerSec * dtSec)) {
+      onEliminated(player);
+    }
+  });
+
+  if (room.cells) {
+    room.cells.forEach((cell) => {
+      if (!isOutside(zone, cell.x, cell.y)) return;
+      cell.mass -= massLossPerSec * dtSec;
+      if (cell.mass < MIN_MASS) room.cells.delete(cell.id);
+    });
+  }
+}
+
+/**
+ * The zone as clients see it in snapshots.
+ */
+function describeZone(room, tickRate) {
+  const zone = room.zone;
+  const shrinking = Boolean(zone.next) && room.tick >= zone.shrinkStartTick;
+  return {
+    phase: zone.phase,
+    shrinking,
+    current: zone.current,
+    next: zone.next,
+    shrinkInMs:
+      zone.next && !shrinking
+        ? Math.round(((zone.shrinkStartTick - room.tick) * 1000) / tickRate)
+        : 0,
+  };
+}
+
+module.exports = {
+  DEFAULT_ZONE,
+  validateZoneOptions,
+  initZone,
+  updateZone,
+  damageOutsideZone,
+  describeZone,
+};
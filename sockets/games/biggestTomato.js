@@ -2,6 +2,34 @@
  * sockets/games/biggestTomato.js
  ************************************/
 const { shuffleDeck } = require("../../utils/cardsUtils");
+const {
+  setMatchWinner,
+  recordFinishedMatch,
+} = require("../../utils/matchUtils");
+const {
+  ROOM_STATES,
+  getSpectatorChannel,
+  transitionRoom,
+} = require("../../utils/gameUtils");
+const { postSystemMessage } = require("../../utils/chatUtils");
+const { GameError } = require("../../utils/errorCodes");
+
+/** Card ranks, lowest first */
+const CARD_RANKS = [
+  "A",
+  "2",
+  "3",
+  "4",
+  "5",
+  "6",
+  "7",
+  "8",
+  "9",
+  "10",
+  "J",
+  "Q",
+  "K",
+];
 
 /**
  * Called after countdown, deals cards, sets up room.
@@ -11,36 +39,28 @@ function startBiggestTomatoRoom(game, room) {
 
   console.log("[Server] startBiggestTomatoRoom -> Dealing cards...");
 
-  const deck = [
-    "A",
-    "2",
-    "3",
-    "4",
-    "5",
-    "6",
-    "7",
-    "8",
-    "9",
-    "10",
-    "J",
-    "Q",
-    "K",
-  ];
+  const deck = [...CARD_RANKS];
   shuffleDeck(deck);
 
-  // Deal 5 cards each
+  // Deal handSize cards each (5 by default, host-configurable), fewer
+  // if the single deck can't cover every seated player
+  const handSize = Math.min(
+    (room.options && room.options.handSize) || 5,
+    Math.floor(CARD_RANKS.length / room.players.length)
+  );
   room.players.forEach((player) => {
     player.isDead = false;
-    player.cards = deck.slice(0, 5);
-    deck.splice(0, 5);
+    player.cards = deck.slice(0, handSize);
+    deck.splice(0, handSize);
   });
 
   room.playedCards = []; // store all played cards in order
+  room.playLog = []; // who played what, for the match history
   room.currentPlayerIndex = 0;
   room.currentPlayerSocketId = room.players[0].socketId;
-  room.winner = null;
+  setMatchWinner(room, null);
 
-  console.log("[Server] Dealt 5 cards to each player:");
+  console.log(`[Server] Dealt ${handSize} cards to each player:`);
   room.players.forEach((p) => {
     console.log(`   => ${p.userName}, cards=[${p.cards.join(", ")}]`);
   });
@@ -54,25 +74,22 @@ function startBiggestTomatoRoom(game, room) {
 function handlePlayCard(io, games, data) {
   const { gameId, roomId, socket, card } = data;
   const game = games[gameId];
-  if (!game) return;
-
-  let room = game.activeRooms[roomId] || game.rooms[roomId];
-  if (!room) {
-    console.log(`[Server] handlePlayCard -> Room ${roomId} not found`);
-    return;
+  const room = game.activeRooms[roomId];
+  if (!room || !room.playedCards) {
+    throw new GameError("GAME_NOT_ACTIVE");
   }
 
+  // Find player
+  const player = room.players.find((p) => p.socketId === socket.id);
+  if (!player) throw new GameError("NOT_IN_ROOM");
+  if (player.isDead) throw new GameError("PLAYER_ELIMINATED");
+
   // Enforce turn-based logic
   if (socket.id !== room.currentPlayerSocketId) {
-    console.log("[Server] Not your turn, ignoring playCard.");
-    return;
+    throw new GameError("NOT_YOUR_TURN");
   }
-
-  // Find player
-  const player = room.players.find((p) => p.socketId === socket.id);
-  if (!player || player.isDead) {
-    console.log("[Server] Player not found or dead, ignoring.");
-    return;
+  if (!player.cards.includes(card)) {
+    throw new GameError("CARD_NOT_IN_HAND");
   }
 
   console.log(`[Server] ${player.userName} played ${card}`);
@@ -85,11 +102,22 @@ function handlePlayCard(io, games, data) {
       console.log(
         `[Server] => smaller card => ${player.userName} is eliminated.`
       );
+      postSystemMessage(
+        io,
+        { scope: "room", gameId, roomId },
+        `${player.userName} played ${card} and is eliminated.`
+      );
     }
   }
 
   // Record the new card
   room.playedCards.push(card);
+  room.playLog.push({
+    playerId: player.playerId,
+    userName: player.userName,
+    card,
+    eliminated: player.isDead,
+  });
 
   // Remove the card from player's hand
   player.cards = player.cards.filter((c) => c !== card);
@@ -100,10 +128,15 @@ function handlePlayCard(io, games, data) {
   // Check if 1 or 0 alive => game over
   const alive = room.players.filter((p) => !p.isDead);
   if (alive.length <= 1) {
-    room.winner = alive.length === 1 ? alive[0].socketId : null;
+    const winnerPlayer = alive.length === 1 ? alive[0] : null;
+    setMatchWinner(room, winnerPlayer);
     console.log(`[Server] => Game Over! winner=${room.winner || "None"}`);
 
-    io.to(`${gameId}-${roomId}`).emit("gameOver", { winner: room.winner });
+    io.to(`${gameId}-${roomId}`).emit("gameOver", {
+      winner: room.winner,
+      winnerId: room.winnerId,
+      winnerSocketId: winnerPlayer ? winnerPlayer.socketId : null,
+    });
     endBiggestTomatoRoom(game, room, games);
     return;
   }
@@ -116,22 +149,7 @@ function handlePlayCard(io, games, data) {
  * Compare two cards by rank. Return true if cardA > cardB.
  */
 function compareCards(cardA, cardB) {
-  const rankOrder = [
-    "A",
-    "2",
-    "3",
-    "4",
-    "5",
-    "6",
-    "7",
-    "8",
-    "9",
-    "10",
-    "J",
-    "Q",
-    "K",
-  ];
-  return rankOrder.indexOf(cardA) > rankOrder.indexOf(cardB);
+  return CARD_RANKS.indexOf(cardA) > CARD_RANKS.indexOf(cardB);
 }
 
 /**
@@ -157,9 +175,12 @@ function nextAlivePlayer(room) {
  * NOTE: We only show the "second-to-last" card as `lastPlayedCard`,
  * and the entire older list as `playedCardHistory`.
  * The truly last card is hidden from the front-end.
+ *
+ * Spectators get the same state with hands replaced by card counts.
  */
 function broadcastGameState(io, gameId, roomId, room) {
   const channel = `${gameId}-${roomId}`;
+  const spectatorChannel = getSpectatorChannel(gameId, roomId);
 
   const played = room.playedCards;
   let displayedLastCard = null; // This is the "previous to last"
@@ -175,32 +196,133 @@ function broadcastGameState(io, gameId, roomId, room) {
     displayedHistory = played.slice(0, played.length - 2);
   }
 
-  io.to(channel).emit("gameStateUpdate", {
+  const state = {
     roomId,
+    lastPlayedCard: displayedLastCard, // The second-to-last card
+    playedCardHistory: displayedHistory, // All older
+    currentPlayerId: room.currentPlayerSocketId,
+    winner: room.winner || null,
+  };
+
+  io.to(channel)
+    .except(spectatorChannel)
+    .emit("gameStateUpdate", {
+      ...state,
+      players: room.players.map((p) => ({
+        socketId: p.socketId,
+        userName: p.userName,
+        isDead: p.isDead,
+        cards: p.cards || [],
+      })),
+    });
+
+  io.to(spectatorChannel).emit("gameStateUpdate", {
+    ...state,
     players: room.players.map((p) => ({
       socketId: p.socketId,
       userName: p.userName,
       isDead: p.isDead,
-      cards: p.cards || [],
+      cardCount: (p.cards || []).length,
     })),
-    lastPlayedCard: displayedLastCard, // The second-to-last card
-    playedCardHistory: displayedHistory, // All older
-    currentPlayerId: room.currentPlayerSocketId,
-    winner: room.winner || null,
   });
 }
 
+/**
+ * A resumed session moved a player to a new socket.
+ */
+function rebindPlayer(room, oldSocketId, newSocketId) {
+  if (room.currentPlayerSocketId === oldSocketId) {
+    room.currentPlayerSocketId = newSocketId;
+  }
+}
+
+/**
+ * Host-configurable options: { handSize }. The hand is dealt smaller
+ * when handSize cards each don't fit in the deck (see start).
+ */
+function validateOptions(options) {
+  const { handSize } = options;
+  if (!Number.isInteger(handSize) || handSize < 1 || handSize > 6) {
+    return "handSize must be a whole number between 1 and 6.";
+  }
+  return null;
+}
+
+/**
+ * Public room details for the REST API (never the hands themselves).
+ */
+function describeRoom(room) {
+  return {
+    currentPlayerId: room.currentPlayerSocketId || null,
+    cardsPlayed: room.playedCards ? room.playedCards.length : 0,
+    cardsInHand: room.players.map((p) => ({
+      socketId: p.socketId,
+      count: p.cards ? p.cards.length : 0,
+    })),
+  };
+}
+
+/**
+ * Per-player counters added to the aggregate stats of a recorded match.
+ */
+function playerMatchStats(match, playerId) {
+  const plays = (match.details.playLog || []).filter(
+    (entry) => entry.playerId === playerId
+  );
+  return {
+    cardsPlayed: plays.length,
+    eliminations: plays.filter((entry) => entry.eliminated).length,
+  };
+}
+
 /**
  * Cleanup
  */
 function endBiggestTomatoRoom(game, room, games) {
   console.log(`[Server] endBiggestTomatoRoom -> cleaning up room ${room.id}`);
+  transitionRoom(room, ROOM_STATES.ENDED);
+
+  const match = recordFinishedMatch(game.id, room, {
+    playedCards: room.playedCards || [],
+    playLog: room.playLog || [],
+  });
+  if (match && room.winner) {
+    postSystemMessage(
+      game.io,
+      { scope: "room", gameId: game.id, roomId: room.id },
+      `${room.winner} won the game!`
+    );
+  }
+
   if (game.activeRooms[room.id]) {
     delete game.activeRooms[room.id];
   }
 }
 
 module.exports = {
+  // Game descriptor (picked up by utils/gameRegistry.js)
+  id: 1,
+  name: "Biggest Tomato",
+  minPlayers: 2,
+  maxPlayers: 4,
+  start: startBiggestTomatoRoom,
+  broadcast: broadcastGameState,
+  end: endBiggestTomatoRoom,
+  defaultOptions: { handSize: 5 },
+  validateOptions,
+  describeRoom,
+  rebindPlayer,
+  playerMatchStats,
+  events: {
+    playCard: handlePlayCard,
+  },
+  rateLimits: {
+    playCard: { ratePerSec: 2, burst: 3, onExcess: "drop" },
+  },
+  eventSchemas: {
+    playCard: { card: { type: "string", required: true, enum: CARD_RANKS } },
+  },
+
   startBiggestTomatoRoom,
   handlePlayCard,
   broadcastGameState,
@@ -3,33 +3,305 @@
  ************************************/
 const {
   getGame,
+  createRoom,
+  findRoomByInviteCode,
+  checkRoomAccess,
   ensureSingleEmptyRoom,
+  removeRoomIfEmpty,
+  assignHost,
+  isRoomHost,
+  applyRoomSettings,
   broadcastRooms,
-  allPlayersReady,
+  getSpectatorChannel,
+  isSpectator,
+  ROOM_STATES,
   startCountdown,
+  updateCountdown,
   updateRoomCountForSingleUser,
-  updateRoomCountForEveryone,
 } = require("../utils/gameUtils");
 
 const {
   broadcastGameState: broadcastGameGeneric,
   endGame: endGameGeneric,
+  registerGameEvents,
+  getGameDescriptor,
 } = require("../utils/gameRegistry");
 
-// For direct event handling if you prefer (like .handlePlayCard)
-const biggestTomato = require("./games/biggestTomato");
-const agarIo = require("./games/agarIo.js");
+const sessionStore = require("../utils/sessionStore");
+const authMiddleware = require("./authMiddleware");
+const { findUserByName } = require("../models/userModel");
+const { issueIdentityToken, hashPassword } = require("../utils/authUtils");
+const { onEvent } = require("../utils/eventUtils");
+const { getCoreLimit } = require("../utils/rateLimiter");
+const { GameError } = require("../utils/errorCodes");
+const { negotiateWireFormat } = require("../utils/wireProtocol");
+const { startLatencyProbe } = require("../utils/latencyUtils");
+const { EVENT_SCHEMAS } = require("./eventSchemas");
+const { getLeaderboard } = require("../utils/ratingUtils");
+const matchmaker = require("../utils/matchmaker");
+const chat = require("../utils/chatUtils");
+const moderation = require("../utils/moderationUtils");
+
+// Joins that may carry a room password; with one they are limited by
+// the shared "room password" bucket instead of their own
+const PASSWORD_EVENTS = ["joinRoom", "spectateRoom", "joinGameChannel"];
+
+function selectRateLimit(eventName, payload) {
+  if (PASSWORD_EVENTS.includes(eventName) && payload && payload.password) {
+    return {
+      scope: "core",
+      limit: getCoreLimit("room password"),
+      bucket: "room password",
+    };
+  }
+  return { scope: "core", limit: getCoreLimit(eventName) };
+}
+
+// Master games object (shared with the REST routes):
+// games[gameId] = { rooms: {...}, activeRooms: {...}, id, io, etc. }
+const games = require("../models/gameModel");
 
 module.exports = (io) => {
-  // Master games object:
-  // games[gameId] = { rooms: {...}, activeRooms: {...}, id, io, etc. }
-  const games = {};
+  // Every socket carries a verified (or guest) identity in socket.data.user
+  io.use(authMiddleware);
 
   // Track user info by socket
   let userList = {};
 
+  /**
+   * Remove a socket's player from every lobby and active room
+   * (after a disconnect, or once a held session has expired).
+   */
+  function removePlayerEverywhere(socketId) {
+    // Keys of `games` are strings; channels and payloads use the number
+    Object.entries(games).forEach(([key, game]) => {
+      const gameId = Number(key);
+
+      // 1) Remove from LOBBY rooms
+      Object.entries(game.rooms).forEach(([roomId, room]) => {
+        const playerIndex = room.players.findIndex(
+          (p) => p.socketId === socketId
+        );
+        if (playerIndex !== -1) {
+          const [leftPlayer] = room.players.splice(playerIndex, 1);
+          assignHost(room);
+          chat.postSystemMessage(
+            io,
+            { scope: "room", gameId, roomId },
+            `${leftPlayer.userName} left the room.`
+          );
+          updateCountdown(gameId, roomId, games, io);
+          console.log(
+            `[Server] Removed ${socketId} from LOBBY roomId=${roomId} in gameId=${gameId}`
+          );
+
+          // Handle empty lobby rooms
+          removeRoomIfEmpty(gameId, roomId, games, io);
+          broadcastRooms(gameId, games, io);
+        }
+      });
+
+      // 2) Remove from ACTIVE rooms
+      Object.entries(game.activeRooms).forEach(([roomId, room]) => {
+        const playerIndex = room.players.findIndex(
+          (p) => p.socketId === socketId
+        );
+        if (playerIndex === -1) return;
+
+        const [disconnectedPlayer] = room.players.splice(playerIndex, 1);
+        assignHost(room);
+        chat.postSystemMessage(
+          io,
+          { scope: "room", gameId, roomId },
+          `${disconnectedPlayer.userName} left the game.`
+        );
+        console.log(
+          `[Server] Removed ${socketId} from ACTIVE roomId=${roomId} in gameId=${gameId}`
+        );
+
+        // If Agar.io, handle playersMap, alivePlayers, etc.
+        if (room.playersMap && room.alivePlayers && room.playerSpatialIndex) {
+          room.playersMap.delete(socketId);
+          room.alivePlayers.delete(socketId);
+
+          room.playerSpatialIndex.remove(
+            {
+              minX: disconnectedPlayer.x - disconnectedPlayer.mass,
+              minY: disconnectedPlayer.y - disconnectedPlayer.mass,
+              maxX: disconnectedPlayer.x + disconnectedPlayer.mass,
+              maxY: disconnectedPlayer.y + disconnectedPlayer.mass,
+              player: disconnectedPlayer,
+            },
+            (a, b) => a.player.socketId === b.player.socketId
+          );
+
+          // If only 1 or 0 remain (in a deathmatch, dead players respawn)
+          const remaining =
+            room.matchType === "deathmatch"
+              ? room.playersMap.size
+              : room.alivePlayers.size;
+          if (remaining <= 1) {
+            // We can just end the game
+            endGameGeneric(gameId, game, room, games);
+          }
+        }
+
+        // If the room is empty, end the game / remove it
+        if (room.players.length === 0 && game.activeRooms[roomId]) {
+          endGameGeneric(gameId, game, room, games);
+        }
+      });
+    });
+  }
+
+  /**
+   * Drop a socket from every room it is watching.
+   */
+  function removeSpectatorEverywhere(socket) {
+    Object.entries(games).forEach(([key, game]) => {
+      const gameId = Number(key);
+      const rooms = [
+        ...Object.values(game.rooms),
+        ...Object.values(game.activeRooms),
+      ];
+      rooms.forEach((room) => {
+        if (!isSpectator(room, socket.id)) return;
+        room.spectators = room.spectators.filter(
+          (s) => s.socketId !== socket.id
+        );
+        socket.leave(getSpectatorChannel(gameId, room.id));
+        socket.leave(`${gameId}-${room.id}`);
+        console.log(
+          `[Server] ${socket.id} stopped spectating roomId=${room.id} in gameId=${gameId}`
+        );
+        broadcastRooms(gameId, games, io);
+      });
+    });
+  }
+
+  /**
+   * Seat a socket in a lobby room under its verified identity.
+   */
+  function joinLobbyRoom(socket, gameId, room) {
+    const roomId = room.id;
+    if (room.players.some((p) => p.socketId === socket.id)) return;
+
+    // Watching this room? Become a player instead
+    if (isSpectator(room, socket.id)) {
+      room.spectators = room.spectators.filter((s) => s.socketId !== socket.id);
+      socket.leave(getSpectatorChannel(gameId, roomId));
+    }
+
+    // Add this player under their verified identity
+    const user = socket.data.user;
+    room.players.push({
+      socketId: socket.id,
+      // Stable identity for history and ratings (survives reconnects)
+      playerId: user.userId,
+      userName: user.userName,
+      isReady: false,
+      isConnected: true,
+    });
+    assignHost(room);
+
+    // Tie the player's session to this room so a dropped
+    // connection can resume into the same slot
+    sessionStore.createSession(socket.id, user);
+    const session = sessionStore.attachRoom(socket.id, gameId, roomId);
+    socket.emit("session", {
+      sessionToken: session.token,
+      gameId,
+      roomId,
+    });
+
+    // Join the unique lobby-room channel, e.g. "1-abc123"
+    const uniqueRoomChannel = `${gameId}-${roomId}`;
+    socket.join(uniqueRoomChannel);
+    console.log(
+      `[Server] ${socket.id} joined roomId=${roomId} (lobby) in gameId=${gameId}`
+    );
+
+    // Catch the newcomer up on the room chat, then announce them
+    sendChatHistory(socket, { scope: "room", gameId, roomId });
+    chat.postSystemMessage(
+      io,
+      { scope: "room", gameId, roomId },
+      `${user.userName} joined the room.`
+    );
+
+    // If first player, ensure we still have at least one empty room
+    if (room.players.length === 1) {
+      ensureSingleEmptyRoom(gameId, games, io);
+    }
+
+    // A new, un-ready player halts an all-ready countdown
+    updateCountdown(gameId, roomId, games, io);
+  }
+
+  /**
+   * Replay chat history without messages from users this socket muted.
+   */
+  function sendChatHistory(socket, scopeInfo) {
+    chat.sendHistory(socket, scopeInfo, {
+      hiddenSenderIds: moderation.getHiddenSenders(socket.data.user.userId),
+    });
+  }
+
+  /**
+   * Connected socket ids belonging to any of `userIds` (a Set).
+   */
+  function socketIdsForUsers(userIds) {
+    if (userIds.size === 0) return [];
+    return [...io.sockets.sockets.values()]
+      .filter((s) => userIds.has(s.data.user.userId))
+      .map((s) => s.id);
+  }
+
+  /**
+   * Find the room a session points at (lobby or active), or null.
+   */
+  function findSessionRoom(session) {
+    const game = games[session.gameId];
+    if (!game) return null;
+    return (
+      game.activeRooms[session.roomId] || game.rooms[session.roomId] || null
+    );
+  }
+
+  /**
+   * The game's gameStart setup for an active room, for sockets that
+   * arrive after it was sent.
+   */
+  function describeRoomStart(game, gameId, roomId) {
+    const room = game.activeRooms[roomId];
+    const descriptor = getGameDescriptor(gameId);
+    return room && typeof descriptor.describeStart === "function"
+      ? descriptor.describeStart(room)
+      : {};
+  }
+
+  // Quick-play: group queued players into rooms via joinLobbyRoom
+  matchmaker.startMatchmaker(io, games, joinLobbyRoom);
+
   io.on("connection", (socket) => {
-    console.log(`🟢 [Server] A user connected: ${socket.id}`);
+    console.log(
+      `🟢 [Server] A user connected: ${socket.id} (${socket.data.user.userName})`
+    );
+
+    // Real-time game messages go out as JSON unless the client asked
+    // for binary in the handshake (see utils/wireProtocol.js)
+    socket.data.wireFormat = negotiateWireFormat(socket.handshake);
+    // Round-trip time, e.g. for lag-compensated hits
+    startLatencyProbe(socket);
+
+    // Tell the client who the server thinks it is (guests keep the token
+    // to reconnect under the same identity)
+    socket.emit("identity", {
+      ...socket.data.user,
+      token: socket.data.token,
+      wireFormat: socket.data.wireFormat,
+    });
+    sendChatHistory(socket, { scope: "global" });
 
     // Provide the 'io' reference in each game object, so we can broadcast
     Object.keys(games).forEach((gameId) => {
@@ -43,36 +315,274 @@ module.exports = (io) => {
       });
     }
 
+    // Core events are validated against sockets/eventSchemas.js and
+    // acked as { ok, error: { code, message } } (see utils/eventUtils.js)
+    const on = (eventName, handler) =>
+      onEvent(socket, eventName, EVENT_SCHEMAS[eventName], handler, {
+        rateLimit: (payload) => selectRateLimit(eventName, payload),
+      });
+
+    /**
+     * The game object for a registered game id; throws UNKNOWN_GAME.
+     */
+    function requireGame(gameId) {
+      if (!getGameDescriptor(gameId)) throw new GameError("UNKNOWN_GAME");
+      return getGame(gameId, games);
+    }
+
     /********************************************
      * Track user name
      ********************************************/
-    socket.on("user name", (userName, callback) => {
-      if (typeof userName !== "string") {
-        callback({ success: false, error: "Invalid user name." });
-        return;
+    on("user name", (userName) => {
+      const user = socket.data.user;
+
+      // Registered users always go by their account name; guests may
+      // pick a display name as long as it isn't someone's account
+      let nextName = user.userName;
+      if (user.isGuest && userName !== undefined) {
+        nextName = userName.trim();
+        const nameError = moderation.validateUserName(nextName);
+        if (nameError) throw new GameError("NAME_INVALID", nameError);
+        if (findUserByName(nextName)) throw new GameError("NAME_RESERVED");
+      }
+
+      // Display names are unique among connected users (the same user on
+      // several tabs may share one)
+      const lowerName = nextName.toLowerCase();
+      const nameTaken = Object.values(userList).some(
+        (u) =>
+          u.id !== socket.id &&
+          u.userId !== user.userId &&
+          u.userName.toLowerCase() === lowerName
+      );
+      if (nameTaken) throw new GameError("NAME_TAKEN");
+
+      if (nextName !== user.userName) {
+        user.userName = nextName;
+        // Re-issue the guest token so a reconnect keeps the new name
+        socket.data.token = issueIdentityToken(user);
       }
-      socket.userName = userName;
-      userList[socket.id] = { id: socket.id, userName };
+
+      socket.userName = user.userName;
+      userList[socket.id] = {
+        id: socket.id,
+        userId: user.userId,
+        userName: user.userName,
+      };
       io.emit("users", Object.values(userList));
+
+      const session = sessionStore.createSession(socket.id, user);
+      console.log(
+        `[Server] user name set -> socketId=${socket.id}, userName=${user.userName}`
+      );
+      return {
+        userName: user.userName,
+        token: socket.data.token,
+        sessionToken: session.token,
+      };
+    });
+
+    /********************************************
+     * Resume a session after a dropped connection
+     ********************************************/
+    on("resumeSession", ({ sessionToken }) => {
+      const resumed = sessionStore.resumeSession(
+        sessionToken,
+        socket.id,
+        socket.data.user.userId
+      );
+      if (!resumed) throw new GameError("SESSION_EXPIRED");
+
+      const { session, oldSocketId } = resumed;
+      socket.data.user.userName = session.userName;
+      socket.userName = session.userName;
+      userList[socket.id] = {
+        id: socket.id,
+        userId: session.userId,
+        userName: session.userName,
+      };
+      io.emit("users", Object.values(userList));
+
+      // The old socket may still be half-open; it no longer owns the
+      // session, so its disconnect must not free the slot we take over
+      const oldSocket = io.sockets.sockets.get(oldSocketId);
+      if (oldSocket) {
+        oldSocket.data.resumed = true;
+        oldSocket.disconnect(true);
+      }
+
+      const room = findSessionRoom(session);
+      const player =
+        room && room.players.find((p) => p.socketId === oldSocketId);
+      if (!player) {
+        // The room ended (or the slot was freed) while we were away
+        sessionStore.clearRoom(socket.id);
+        return { sessionToken: session.token, room: null };
+      }
+
+      const { gameId, roomId } = session;
+      player.socketId = socket.id;
+      player.isConnected = true;
+
+      // Let the game rebind its own socketId-keyed state
+      const descriptor = getGameDescriptor(gameId);
+      if (descriptor && typeof descriptor.rebindPlayer === "function") {
+        descriptor.rebindPlayer(room, oldSocketId, socket.id);
+      }
+
+      socket.join(gameId);
+      socket.join(`${gameId}-${roomId}`);
+      sendChatHistory(socket, { scope: "room", gameId, roomId });
+      console.log(
+        `[Server] resumeSession -> ${session.userName} rebound ${oldSocketId} -> ${socket.id} in ${gameId}-${roomId}`
+      );
+
+      // Send the current state right after the ack
+      setImmediate(() => {
+        if (room.isActive) {
+          broadcastGameGeneric(gameId, io, room);
+        } else {
+          broadcastRooms(gameId, games, io);
+        }
+      });
+
+      return {
+        sessionToken: session.token,
+        room: { gameId, roomId, isActive: !!room.isActive },
+      };
+    });
+
+    /********************************************
+     * Chat: global, per-game lobby and per-room channels
+     ********************************************/
+    on("chat message", (payload) => {
+      // A bare string is a global message (the original protocol)
+      const { scope, gameId, roomId, text } =
+        typeof payload === "string" ? { text: payload } : payload;
+
+      const { userId } = socket.data.user;
+      const serverMute = moderation.getActiveServerMute(userId);
+      if (serverMute) {
+        throw new GameError("CHAT_MUTED", undefined, {
+          mutedUntil: serverMute.until,
+        });
+      }
+
+      const target = chat.resolveTarget({ scope, gameId, roomId });
+      if (!target) throw new GameError("CHAT_CHANNEL_UNKNOWN");
+      if (target.channel !== undefined && !socket.rooms.has(target.channel)) {
+        throw new GameError("CHAT_NOT_MEMBER");
+      }
+
+      const trimmed = text.trim();
+      if (!trimmed) {
+        throw new GameError("INVALID_PAYLOAD", "Messages cannot be empty.");
+      }
+
+      const message = chat.postMessage(
+        io,
+        target,
+        socket.data.user,
+        moderation.filterText(trimmed),
+        {
+          exceptSocketIds: socketIdsForUsers(
+            moderation.getHiddenRecipients(userId)
+          ),
+        }
+      );
       console.log(
-        `[Server] user name set -> socketId=${socket.id}, userName=${userName}`
+        `[Server] chat message (${target.key}) from ${socket.data.user.userName}: ${message.text}`
       );
+      return { id: message.id };
     });
 
     /********************************************
-     * Chat message event (global)
+     * Personal mute / block lists
      ********************************************/
-    socket.on("chat message", (msg) => {
-      console.log(`[Server] chat message from ${socket.id}: ${msg}`);
-      socket.broadcast.emit("chat message", msg);
+    const MODERATION_LISTS = {
+      muteUser: ["mutes", true],
+      unmuteUser: ["mutes", false],
+      blockUser: ["blocks", true],
+      unblockUser: ["blocks", false],
+    };
+    Object.entries(MODERATION_LISTS).forEach(([eventName, [kind, add]]) => {
+      on(eventName, ({ userId }) => {
+        const ownId = socket.data.user.userId;
+        if (userId === ownId) throw new GameError("INVALID_USER");
+        if (add) {
+          moderation.addToList(kind, ownId, userId);
+        } else {
+          moderation.removeFromList(kind, ownId, userId);
+        }
+        return moderation.getModerationLists(ownId);
+      });
+    });
+
+    on("requestModerationLists", () =>
+      moderation.getModerationLists(socket.data.user.userId)
+    );
+
+    /********************************************
+     * Admin: timed server-side mutes
+     ********************************************/
+    on("adminMute", ({ userId, durationSeconds, reason }) => {
+      if (!moderation.isAdmin(socket.data.user)) {
+        throw new GameError("FORBIDDEN");
+      }
+
+      const mute = moderation.serverMute(userId, {
+        durationSeconds,
+        reason,
+        mutedBy: socket.data.user.userId,
+      });
+      if (typeof mute === "string") {
+        throw new GameError("INVALID_DURATION", mute);
+      }
+
+      socketIdsForUsers(new Set([userId])).forEach((socketId) => {
+        io.to(socketId).emit("muted", {
+          until: mute.until,
+          reason: mute.reason,
+        });
+      });
+      console.log(
+        `[Server] adminMute -> ${userId} muted until ${new Date(
+          mute.until
+        ).toISOString()} by ${socket.data.user.userName}`
+      );
+      return { userId, until: mute.until };
+    });
+
+    on("adminUnmute", ({ userId }) => {
+      if (!moderation.isAdmin(socket.data.user)) {
+        throw new GameError("FORBIDDEN");
+      }
+      moderation.clearServerMute(userId);
+      socketIdsForUsers(new Set([userId])).forEach((socketId) => {
+        io.to(socketId).emit("unmuted", {});
+      });
+      return { userId };
+    });
+
+    /********************************************
+     * Rating leaderboard for a game
+     ********************************************/
+    on("requestLeaderboard", ({ gameId, limit = 10 }) => {
+      if (!getGameDescriptor(gameId)) throw new GameError("UNKNOWN_GAME");
+      const entries = getLeaderboard(gameId, limit);
+      socket.emit("leaderboard", { gameId, entries });
+      return { gameId, entries };
     });
 
     /********************************************
      * Request available rooms (lobby) for a game
      ********************************************/
-    socket.on("requestRooms", (gameId) => {
+    on("requestRooms", (gameId) => {
+      requireGame(gameId);
+
       // Join the "lobby" channel for that game
       socket.join(gameId);
+      sendChatHistory(socket, { scope: "game", gameId });
 
       // Ensure we have at least one empty room
       ensureSingleEmptyRoom(gameId, games, io);
@@ -81,104 +591,308 @@ module.exports = (io) => {
       console.log(
         `[Server] requestRooms -> client joined gameId=${gameId} lobby`
       );
+      return { gameId };
     });
 
     /********************************************
-     * Join a room (in the lobby)
+     * Quick-play matchmaking queue
      ********************************************/
-    socket.on("joinRoom", ({ gameId, roomId, userName }) => {
-      const game = getGame(gameId, games);
-      if (!game.rooms[roomId]) {
-        console.log(
-          `[Server] joinRoom -> Room ${roomId} not found in game ${gameId}`
+    on("queueForGame", ({ gameId, preferredSize = null }) => {
+      const session = sessionStore.getSessionForSocket(socket.id);
+      if (session && session.roomId !== null) {
+        throw new GameError("ALREADY_IN_ROOM");
+      }
+
+      const error = matchmaker.enqueue(socket, gameId, { preferredSize });
+      if (error) throw new GameError("QUEUE_INVALID", error);
+      return { gameId };
+    });
+
+    on("leaveQueue", () => {
+      if (!matchmaker.dequeue(socket.id)) throw new GameError("NOT_QUEUED");
+    });
+
+    /********************************************
+     * Create a named room (public, unlisted or private)
+     ********************************************/
+    on("createRoom", async (payload) => {
+      const { gameId, name, visibility = "public", password } = payload;
+      requireGame(gameId);
+      // Public rooms are open to everyone, so a password would do nothing
+      if (password && visibility === "public") {
+        throw new GameError(
+          "INVALID_PAYLOAD",
+          "Only unlisted or private rooms can have a password."
         );
-        return;
       }
+      const passwordHash = password ? await hashPassword(password) : null;
+      if (!socket.connected) return;
 
-      const room = game.rooms[roomId];
-      const existingPlayer = room.players.find((p) => p.socketId === socket.id);
-      if (!existingPlayer) {
-        // Add this player
-        room.players.push({
-          socketId: socket.id,
-          userName: userName || socket.userName || "Unknown",
-          isReady: false,
-        });
+      const room = createRoom(gameId, games, {
+        name: (name && name.trim()) || undefined,
+        visibility,
+        passwordHash,
+        createdBy: socket.data.user.userId,
+      });
+      console.log(
+        `[Server] createRoom -> ${visibility} roomId=${room.id} in gameId=${gameId}`
+      );
+
+      // The creator takes the first seat
+      matchmaker.dequeue(socket.id);
+      socket.join(gameId);
+      joinLobbyRoom(socket, gameId, room);
+      broadcastRooms(gameId, games, io);
 
-        // Join the unique lobby-room channel, e.g. "1-abc123"
-        const uniqueRoomChannel = `${gameId}-${roomId}`;
-        socket.join(uniqueRoomChannel);
+      return {
+        gameId,
+        roomId: room.id,
+        visibility,
+        inviteCode: room.inviteCode,
+      };
+    });
+
+    /********************************************
+     * Join a room (in the lobby), by id or invite code
+     ********************************************/
+    on("joinRoom", async ({ gameId, roomId, inviteCode, password }) => {
+      const game = requireGame(gameId);
+      const room = roomId
+        ? game.rooms[roomId]
+        : findRoomByInviteCode(gameId, games, inviteCode);
+      if (!room) {
         console.log(
-          `[Server] ${socket.id} joined roomId=${roomId} (lobby) in gameId=${gameId}`
+          `[Server] joinRoom -> Room ${roomId || inviteCode} not found in game ${gameId}`
         );
+        throw new GameError("ROOM_NOT_FOUND");
+      }
+
+      const accessError = await checkRoomAccess(room, { inviteCode, password });
+      if (accessError) throw new GameError("ROOM_ACCESS_DENIED", accessError);
+      // The room may have started or closed while a password was checked
+      if (!socket.connected) return;
+      if (game.rooms[room.id] !== room) throw new GameError("ROOM_NOT_FOUND");
 
-        // If first player, ensure we still have at least one empty room
-        if (room.players.length === 1) {
-          ensureSingleEmptyRoom(gameId, games, io);
+      const alreadySeated = room.players.some((p) => p.socketId === socket.id);
+      if (!alreadySeated) {
+        if (room.kickedPlayerIds.includes(socket.data.user.userId)) {
+          throw new GameError("ROOM_KICKED");
+        }
+        if (room.players.length >= room.maxPlayers) {
+          throw new GameError("ROOM_FULL");
         }
       }
 
+      // Picking a room by hand ends any quick-play search
+      matchmaker.dequeue(socket.id);
+      joinLobbyRoom(socket, gameId, room);
       broadcastRooms(gameId, games, io);
+      return { gameId, roomId: room.id };
     });
 
     /********************************************
      * Leave a lobby room
      ********************************************/
-    socket.on("leaveRoom", ({ gameId, roomId }) => {
-      const game = getGame(gameId, games);
+    on("leaveRoom", ({ gameId, roomId }) => {
+      const game = requireGame(gameId);
       const room = game.rooms[roomId];
-      if (!room) return;
+      if (!room) throw new GameError("ROOM_NOT_FOUND");
 
       // Leave the channel
       const uniqueRoomChannel = `${gameId}-${roomId}`;
       socket.leave(uniqueRoomChannel);
 
       // Remove the player
+      const leaving = room.players.find((p) => p.socketId === socket.id);
       room.players = room.players.filter((p) => p.socketId !== socket.id);
+      sessionStore.clearRoom(socket.id);
+      assignHost(room);
+      updateCountdown(gameId, roomId, games, io);
+      if (leaving) {
+        chat.postSystemMessage(
+          io,
+          { scope: "room", gameId, roomId },
+          `${leaving.userName} left the room.`
+        );
+      }
 
       // If the room is now empty, we might remove it
-      const emptyRooms = Object.values(game.rooms).filter(
-        (r) => r.players.length === 0
+      removeRoomIfEmpty(gameId, roomId, games, io);
+
+      console.log(
+        `[Server] ${socket.id} left roomId=${roomId} in gameId=${gameId}`
       );
-      if (room.players.length === 0 && emptyRooms.length > 1) {
-        delete game.rooms[roomId];
-        updateRoomCountForEveryone(gameId, games, io);
-        console.log(
-          `[Server] Deleted empty roomId=${roomId} in gameId=${gameId}`
+      broadcastRooms(gameId, games, io);
+    });
+
+    /********************************************
+     * Host controls: settings, kick, start early
+     ********************************************/
+
+    /**
+     * Lobby room owned by this socket's user; throws otherwise.
+     */
+    function getHostedRoom(gameId, roomId) {
+      const game = requireGame(gameId);
+      const room = game.rooms[roomId];
+      if (!room) throw new GameError("ROOM_NOT_FOUND");
+      if (!isRoomHost(room, socket.data.user.userId)) {
+        throw new GameError("NOT_HOST");
+      }
+      return room;
+    }
+
+    on("updateRoomSettings", ({ gameId, roomId, settings }) => {
+      const room = getHostedRoom(gameId, roomId);
+      if (room.state !== ROOM_STATES.WAITING) {
+        throw new GameError("ROOM_LOCKED");
+      }
+
+      const settingsError = applyRoomSettings(gameId, room, settings);
+      if (settingsError) {
+        throw new GameError("INVALID_SETTINGS", settingsError);
+      }
+
+      console.log(
+        `[Server] updateRoomSettings -> roomId=${roomId} ${JSON.stringify(
+          settings
+        )}`
+      );
+      broadcastRooms(gameId, games, io);
+      return {
+        name: room.name,
+        maxPlayers: room.maxPlayers,
+        options: room.options,
+      };
+    });
+
+    on("kickPlayer", ({ gameId, roomId, playerId }) => {
+      const room = getHostedRoom(gameId, roomId);
+
+      const target = room.players.find((p) => p.playerId === playerId);
+      if (!target) throw new GameError("PLAYER_NOT_FOUND");
+      if (target.playerId === room.hostId) {
+        throw new GameError("CANNOT_KICK_HOST");
+      }
+
+      room.players = room.players.filter((p) => p !== target);
+      room.kickedPlayerIds.push(target.playerId);
+
+      const targetSocket = io.sockets.sockets.get(target.socketId);
+      if (targetSocket) {
+        targetSocket.leave(`${gameId}-${roomId}`);
+        targetSocket.emit("kicked", { gameId, roomId });
+      }
+      sessionStore.clearRoom(target.socketId);
+      chat.postSystemMessage(
+        io,
+        { scope: "room", gameId, roomId },
+        `${target.userName} was removed by the host.`
+      );
+
+      console.log(
+        `[Server] kickPlayer -> ${target.userName} removed from roomId=${roomId}`
+      );
+      updateCountdown(gameId, roomId, games, io);
+      broadcastRooms(gameId, games, io);
+    });
+
+    on("startGame", ({ gameId, roomId }) => {
+      const room = getHostedRoom(gameId, roomId);
+
+      if (room.state !== ROOM_STATES.WAITING) {
+        throw new GameError("COUNTDOWN_RUNNING");
+      }
+      const { minPlayers } = getGameDescriptor(gameId);
+      if (room.players.length < minPlayers) {
+        throw new GameError(
+          "NOT_ENOUGH_PLAYERS",
+          `At least ${minPlayers} players are needed to start.`
         );
       }
 
+      console.log(`[Server] startGame -> host started roomId=${roomId} early`);
+      startCountdown(gameId, roomId, games, io, { forced: true });
+      broadcastRooms(gameId, games, io);
+    });
+
+    /********************************************
+     * Watch a lobby or active room (read-only)
+     ********************************************/
+    on("spectateRoom", async ({ gameId, roomId, inviteCode, password }) => {
+      const game = requireGame(gameId);
+      const room = game.activeRooms[roomId] || game.rooms[roomId];
+      if (!room) throw new GameError("ROOM_NOT_FOUND");
+
+      const accessError = await checkRoomAccess(room, { inviteCode, password });
+      if (accessError) throw new GameError("ROOM_ACCESS_DENIED", accessError);
+      // The room may have closed while a password was checked
+      if (!socket.connected) return;
+      if ((game.activeRooms[roomId] || game.rooms[roomId]) !== room) {
+        throw new GameError("ROOM_NOT_FOUND");
+      }
+      if (room.players.some((p) => p.socketId === socket.id)) {
+        throw new GameError("PLAYER_CANNOT_SPECTATE");
+      }
+
+      if (!room.spectators) room.spectators = [];
+      if (!isSpectator(room, socket.id)) {
+        if (room.spectators.length >= (room.maxSpectators || 0)) {
+          throw new GameError("SPECTATOR_LIMIT");
+        }
+        room.spectators.push({
+          socketId: socket.id,
+          userId: socket.data.user.userId,
+          userName: socket.data.user.userName,
+        });
+      }
+
+      // The shared channel carries gameStateUpdate/bulletCreated/gameEnded;
+      // the spectator channel is for views that must differ from players'
+      socket.join(`${gameId}-${roomId}`);
+      socket.join(getSpectatorChannel(gameId, roomId));
+      sendChatHistory(socket, { scope: "room", gameId, roomId });
       console.log(
-        `[Server] ${socket.id} left roomId=${roomId} in gameId=${gameId}`
+        `[Server] ${socket.id} is spectating roomId=${roomId} in gameId=${gameId}`
       );
+
       broadcastRooms(gameId, games, io);
+      if (room.isActive) {
+        broadcastGameGeneric(gameId, io, room);
+      }
+      // Late spectators missed gameStart's setup
+      return {
+        gameId,
+        roomId,
+        isActive: !!room.isActive,
+        ...describeRoomStart(game, gameId, roomId),
+      };
+    });
+
+    on("stopSpectating", () => {
+      removeSpectatorEverywhere(socket);
     });
 
     /********************************************
      * Toggle player readiness in the lobby
      ********************************************/
-    socket.on("toggleReady", ({ gameId, roomId, isReady }) => {
-      const game = getGame(gameId, games);
+    on("toggleReady", ({ gameId, roomId, isReady }) => {
+      const game = requireGame(gameId);
       const room = game.rooms[roomId];
-      if (!room) return;
+      if (!room) throw new GameError("ROOM_NOT_FOUND");
 
       const player = room.players.find((p) => p.socketId === socket.id);
-      if (player) {
-        player.isReady = isReady;
-        console.log(
-          `[Server] toggleReady -> socketId=${socket.id}, isReady=${isReady}`
-        );
-      }
+      if (!player) throw new GameError("NOT_IN_ROOM");
 
-      // If all players in this room are ready, start the countdown
-      if (allPlayersReady(room)) {
-        console.log(
-          `[Server] All players ready -> Starting countdown for roomId=${roomId}`
-        );
-        startCountdown(gameId, roomId, games, io);
-      }
+      player.isReady = isReady;
+      console.log(
+        `[Server] toggleReady -> socketId=${socket.id}, isReady=${isReady}`
+      );
 
+      // Start the countdown once everyone is ready, cancel it on un-ready
+      updateCountdown(gameId, roomId, games, io);
       broadcastRooms(gameId, games, io);
+      return { isReady };
     });
 
     /********************************************
@@ -186,45 +900,56 @@ module.exports = (io) => {
      ********************************************/
 
     // 1) Join the “in-game” channel after the game starts
-    socket.on("joinGameChannel", ({ gameId, roomId }) => {
+    on("joinGameChannel", async ({ gameId, roomId, inviteCode, password }) => {
+      const game = requireGame(gameId);
+      const room = game.activeRooms[roomId] || game.rooms[roomId];
+      if (!room) throw new GameError("ROOM_NOT_FOUND");
+      // The channel carries seated players' views; others spectate.
+      // Seated players passed the access check when they joined.
+      if (!room.players.some((p) => p.socketId === socket.id)) {
+        const accessError = await checkRoomAccess(room, {
+          inviteCode,
+          password,
+        });
+        if (accessError) {
+          throw new GameError("ROOM_ACCESS_DENIED", accessError);
+        }
+        throw new GameError(
+          "NOT_IN_ROOM",
+          "Only seated players join the game channel; use spectateRoom to watch."
+        );
+      }
+
       const channel = `${gameId}-${roomId}`;
       socket.join(channel);
+      sendChatHistory(socket, { scope: "room", gameId, roomId });
       console.log(
         `[Server] Socket ${socket.id} joined in-game channel: ${channel}`
       );
 
-      // Store references in the game object so we can broadcast easily
-      if (!games[gameId]) {
-        return;
-      }
-      games[gameId].io = io;
-      games[gameId].id = gameId;
+      // Store a reference in the game object so we can broadcast easily
+      game.io = io;
 
-      // Also store an "id" on the room so we can reference it
-      if (games[gameId].rooms[roomId]) {
-        games[gameId].rooms[roomId].id = roomId;
-      }
-      if (games[gameId].activeRooms[roomId]) {
-        games[gameId].activeRooms[roomId].id = roomId;
-      }
+      // Reconnects missed gameStart's setup
+      return {
+        gameId,
+        roomId,
+        isActive: !!room.isActive,
+        ...describeRoomStart(game, gameId, roomId),
+      };
     });
 
     // 2) Request the current game state (active or lobby)
-    socket.on("requestGameState", ({ gameId, roomId }) => {
-      const game = getGame(gameId, games);
-
-      // Check activeRooms first
-      let room = game.activeRooms[roomId];
-      // If not found, check the lobby rooms
-      if (!room) {
-        room = game.rooms[roomId];
-      }
+    on("requestGameState", ({ gameId, roomId }) => {
+      const game = requireGame(gameId);
 
+      // Check activeRooms first, then the lobby rooms
+      const room = game.activeRooms[roomId] || game.rooms[roomId];
       if (!room) {
         console.log(
           `[Server] requestGameState -> roomId=${roomId} not found in gameId=${gameId}`
         );
-        return;
+        throw new GameError("ROOM_NOT_FOUND");
       }
 
       console.log(
@@ -235,33 +960,15 @@ module.exports = (io) => {
       broadcastGameGeneric(gameId, io, room);
     });
 
-    // 3) For BiggestTomato
-    socket.on("playCard", (data) => {
-      data.socket = socket; // So we know who played
-      biggestTomato.handlePlayCard(io, games, data);
-    });
-
-    // 4) Player movement (Agar.io)
-    socket.on("playerMove", (data) => {
-      data.socket = socket;
-      agarIo.handlePlayerMove(io, games, data);
-    });
-
-    // 5) Shooting bullets (Agar.io)
-    socket.on("shoot", (data) => {
-      data.socket = socket;
-      agarIo.handleShootBullet(io, games, data);
-    });
+    // 3) Game-specific events (playCard, playerMove, shoot, ...),
+    //    declared by each game descriptor in sockets/games/
+    registerGameEvents(socket, io, games);
 
     /********************************************
      * End Game Event Handler (generic)
      ********************************************/
-    socket.on("endGame", ({ gameId, roomId }) => {
-      const game = getGame(gameId, games);
-      if (!game) {
-        console.log(`[Server] endGame -> Game ${gameId} not found`);
-        return;
-      }
+    on("endGame", ({ gameId, roomId }) => {
+      const game = requireGame(gameId);
 
       // Check activeRooms
       const room = game.activeRooms[roomId];
@@ -269,9 +976,17 @@ module.exports = (io) => {
         console.log(
           `[Server] endGame -> Room ${roomId} not found in activeRooms`
         );
-        return;
+        throw new GameError("GAME_NOT_ACTIVE");
+      }
+      if (isSpectator(room, socket.id)) {
+        throw new GameError("SPECTATOR_READ_ONLY");
+      }
+      if (!room.players.some((p) => p.socketId === socket.id)) {
+        throw new GameError("NOT_IN_ROOM");
       }
 
+      // Stopped before it was decided: no winner, nothing recorded or rated
+      room.endedEarly = true;
       // Use our generic function from gameRegistry
       endGameGeneric(gameId, game, room, games);
 
@@ -283,22 +998,18 @@ module.exports = (io) => {
     /********************************************
      * Force Leave Game Handler
      ********************************************/
-    socket.on("forceLeaveGame", ({ gameId, roomId }) => {
+    on("forceLeaveGame", ({ gameId, roomId }) => {
       console.log(
         `[Server] forceLeaveGame -> socketId=${socket.id}, gameId=${gameId}, roomId=${roomId}`
       );
 
-      const game = getGame(gameId, games);
-      if (!game) {
-        console.log(`[Server] forceLeaveGame -> gameId=${gameId} not found`);
-        return;
-      }
+      const game = requireGame(gameId);
 
       // Try to find room in activeRooms or fallback to normal rooms
-      let room = game.activeRooms[roomId] || game.rooms[roomId];
+      const room = game.activeRooms[roomId] || game.rooms[roomId];
       if (!room) {
         console.log(`[Server] forceLeaveGame -> roomId=${roomId} not found`);
-        return;
+        throw new GameError("ROOM_NOT_FOUND");
       }
 
       // Remove the socket from the Socket.io room
@@ -306,17 +1017,23 @@ module.exports = (io) => {
       socket.leave(uniqueRoomChannel);
 
       // Remove player from the array
+      const leaving = room.players.find((p) => p.socketId === socket.id);
       room.players = room.players.filter((p) => p.socketId !== socket.id);
-
-      // If Agar.io, also remove from playersMap & so on
-      if (room.playersMap) {
-        room.playersMap.delete(socket.id);
+      sessionStore.clearRoom(socket.id);
+      if (leaving) {
+        chat.postSystemMessage(
+          io,
+          { scope: "room", gameId, roomId },
+          `${leaving.userName} left the game.`
+        );
       }
-      if (room.alivePlayers) {
-        room.alivePlayers.delete(socket.id);
+      assignHost(room);
+      if (game.rooms[roomId]) {
+        updateCountdown(gameId, roomId, games, io);
       }
 
-      // If Agar.io, remove from spatial index
+      // If Agar.io, remove from the spatial index (while the player can
+      // still be looked up), then from playersMap & so on
       if (room.playerSpatialIndex) {
         const player = room.playersMap.get(socket.id);
         if (player) {
@@ -332,6 +1049,12 @@ module.exports = (io) => {
           );
         }
       }
+      if (room.playersMap) {
+        room.playersMap.delete(socket.id);
+      }
+      if (room.alivePlayers) {
+        room.alivePlayers.delete(socket.id);
+      }
 
       console.log(
         `[Server] Removed socketId=${socket.id} from roomId=${roomId}`
@@ -343,11 +1066,7 @@ module.exports = (io) => {
         if (game.activeRooms[roomId]) {
           endGameGeneric(gameId, game, room, games);
         } else if (game.rooms[roomId]) {
-          delete game.rooms[roomId];
-          console.log(
-            `[Server] Deleted empty LOBBY roomId=${roomId} in gameId=${gameId}`
-          );
-          ensureSingleEmptyRoom(gameId, games, io);
+          removeRoomIfEmpty(gameId, roomId, games, io);
         }
         broadcastRooms(gameId, games, io);
       }
@@ -363,71 +1082,42 @@ module.exports = (io) => {
       delete userList[socket.id];
       io.emit("users", Object.values(userList));
 
-      // 1) Remove from LOBBY rooms
-      Object.entries(games).forEach(([gameId, game]) => {
-        Object.entries(game.rooms).forEach(([roomId, room]) => {
-          const playerIndex = room.players.findIndex(
-            (p) => p.socketId === socket.id
-          );
-          if (playerIndex !== -1) {
-            room.players.splice(playerIndex, 1);
-            console.log(
-              `[Server] Removed ${socket.id} from LOBBY roomId=${roomId} in gameId=${gameId}`
-            );
-
-            // Handle empty lobby rooms
-            const emptyRooms = Object.values(game.rooms).filter(
-              (r) => r.players.length === 0
-            );
-            if (room.players.length === 0 && emptyRooms.length > 1) {
-              delete game.rooms[roomId];
-              ensureSingleEmptyRoom(gameId, games, io);
-            }
-            broadcastRooms(gameId, games, io);
-          }
-        });
+      // Spectators and queued players hold no slot, drop them right away
+      removeSpectatorEverywhere(socket);
+      matchmaker.dequeue(socket.id);
 
-        // 2) Remove from ACTIVE rooms
-        Object.entries(game.activeRooms).forEach(([roomId, room]) => {
-          const playerIndex = room.players.findIndex(
-            (p) => p.socketId === socket.id
-          );
-          if (playerIndex === -1) return;
+      // Its session (and slot) moved to a new socket already
+      if (socket.data.resumed) return;
 
-          const [disconnectedPlayer] = room.players.splice(playerIndex, 1);
-          console.log(
-            `[Server] Removed ${socket.id} from ACTIVE roomId=${roomId} in gameId=${gameId}`
-          );
-
-          // If Agar.io, handle playersMap, alivePlayers, etc.
-          if (room.playersMap && room.alivePlayers && room.playerSpatialIndex) {
-            room.playersMap.delete(socket.id);
-            room.alivePlayers.delete(socket.id);
-
-            room.playerSpatialIndex.remove(
-              {
-                minX: disconnectedPlayer.x - disconnectedPlayer.mass,
-                minY: disconnectedPlayer.y - disconnectedPlayer.mass,
-                maxX: disconnectedPlayer.x + disconnectedPlayer.mass,
-                maxY: disconnectedPlayer.y + disconnectedPlayer.mass,
-                player: disconnectedPlayer,
-              },
-              (a, b) => a.player.socketId === b.player.socketId
-            );
-
-            // If only 1 or 0 remain
-            if (room.alivePlayers.size <= 1) {
-              // We can just end the game
-              endGameGeneric(gameId, game, room, games);
-            }
-          }
+      // Hold the slot for a grace period if the player is in a room
+      const session = sessionStore.getSessionForSocket(socket.id);
+      const held = sessionStore.holdSession(socket.id, (expired) =>
+        removePlayerEverywhere(expired.socketId)
+      );
+      if (!held) {
+        removePlayerEverywhere(socket.id);
+        return;
+      }
 
-          // If the room is empty, end the game / remove it
-          if (room.players.length === 0 && game.activeRooms[roomId]) {
-            endGameGeneric(gameId, game, room, games);
-          }
-        });
-      });
+      const room = findSessionRoom(session);
+      const player = room && room.players.find((p) => p.socketId === socket.id);
+      if (player) {
+        player.isConnected = false;
+        // Let the game freeze its own state for the absent player
+        const descriptor = getGameDescriptor(session.gameId);
+        if (descriptor && typeof descriptor.holdPlayer === "function") {
+          descriptor.holdPlayer(room, socket.id);
+        }
+        // A lobby slot must not count as ready while nobody is behind it
+        if (!room.isActive) {
+          player.isReady = false;
+          updateCountdown(session.gameId, session.roomId, games, io);
+          broadcastRooms(session.gameId, games, io);
+        }
+      }
+      console.log(
+        `[Server] Holding slot for ${socket.id} for ${sessionStore.SESSION_GRACE_MS}ms`
+      );
     });
   });
 };
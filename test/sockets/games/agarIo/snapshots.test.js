@@ -0,0 +1,241 @@
+/************************************
+ * test/sockets/games/agarIo/snapshots.test.js
+ ************************************/
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  INTEREST_RADIUS,
+  KEYFRAME_INTERVAL,
+  indexBullets,
+  sendSnapshots,
+  acknowledgeSnapshot,
+} = require("../../../../sockets/games/agarIo/snapshots");
+const {
+  updatePlayerIndex,
+} = require("../../../../sockets/games/agarIo/movement");
+
+const CHANNEL = "2-room";
+const WORLD = { width: 4000, height: 4000 };
+
+let RBush;
+test.before(async () => {
+  RBush = (await import("rbush")).default;
+});
+
+/**
+ * Just enough of socket.io for sendSnapshots: one channel of JSON
+ * sockets that record what they were sent.
+ */
+function fakeIo(socketIds) {
+  const sockets = new Map(
+    socketIds.map((id) => [
+      id,
+      {
+        id,
+        data: { wireFormat: "json" },
+        received: [],
+        emit(eventName, payload) {
+          this.received.push(payload);
+        },
+      },
+    ])
+  );
+  return {
+    sockets: {
+      sockets,
+      adapter: { rooms: new Map([[CHANNEL, new Set(socketIds)]]) },
+    },
+  };
+}
+
+function fakeRoom() {
+  return {
+    tick: 0,
+    playersMap: new Map(),
+    playerSpatialIndex: new RBush(),
+    bullets: [],
+    bulletSpatialIndex: new RBush(),
+    viewers: new Map(),
+  };
+}
+
+function addPlayer(room, socketId, netId, x, y) {
+  const player = {
+    socketId,
+    netId,
+    userName: socketId,
+    x,
+    y,
+    mass: 20,
+    speed: 240,
+    lastInputSeq: null,
+    health: 100,
+    invulnerableUntilTick: 0,
+    effectNames: [],
+    isDead: false,
+  };
+  room.playersMap.set(socketId, player);
+  updatePlayerIndex(room, player);
+  return player;
+}
+
+/** Advance a tick and send everyone its snapshot */
+function step(io, room) {
+  room.tick++;
+  indexBullets(room);
+  sendSnapshots(io, CHANNEL, room, { worldSize: WORLD, shared: {} });
+}
+
+const lastSent = (io, socketId) => {
+  const { received } = io.sockets.sockets.get(socketId);
+  return received[received.length - 1];
+};
+
+test("the first snapshot is a full keyframe", () => {
+  const io = fakeIo(["a"]);
+  const room = fakeRoom();
+  addPlayer(room, "a", 1, 1000, 1000);
+  addPlayer(room, "b", 2, 1100, 1000);
+  step(io, room);
+
+  const snapshot = lastSent(io, "a");
+  assert.strictEqual(snapshot.keyframe, true);
+  assert.strictEqual(snapshot.baseTick, null);
+  assert.deepStrictEqual(
+    snapshot.players.map((p) => p.id),
+    [1, 2]
+  );
+  assert.strictEqual(snapshot.players[1].x, 1100);
+  assert.deepStrictEqual(snapshot.removedPlayers, []);
+});
+
+test("without an ack the client keeps getting keyframes", () => {
+  const io = fakeIo(["a"]);
+  const room = fakeRoom();
+  addPlayer(room, "a", 1, 1000, 1000);
+  step(io, room);
+  step(io, room);
+  assert.strictEqual(lastSent(io, "a").keyframe, true);
+  assert.strictEqual(lastSent(io, "a").players.length, 1);
+});
+
+test("after an ack only changed fields are sent, against that tick", () => {
+  const io = fakeIo(["a"]);
+  const room = fakeRoom();
+  const a = addPlayer(room, "a", 1, 1000, 1000);
+  const b = addPlayer(room, "b", 2, 1100, 1000);
+  step(io, room);
+  assert.strictEqual(acknowledgeSnapshot(room, "a", 1), true);
+
+  b.x = 1150;
+  updatePlayerIndex(room, b);
+  a.lastInputSeq = 4;
+  step(io, room);
+
+  const delta = lastSent(io, "a");
+  assert.strictEqual(delta.keyframe, false);
+  assert.strictEqual(delta.baseTick, 1);
+  assert.deepStrictEqual(delta.players, [
+    { id: 1, lastInputSeq: 4 },
+    { id: 2, x: 1150 },
+  ]);
+});
+
+test("unchanged entities are left out of deltas", () => {
+  const io = fakeIo(["a"]);
+  const room = fakeRoom();
+  addPlayer(room, "a", 1, 1000, 1000);
+  step(io, room);
+  acknowledgeSnapshot(room, "a", 1);
+  step(io, room);
+  assert.deepStrictEqual(lastSent(io, "a").players, []);
+});
+
+test("entities leaving the area of interest are listed as removed", () => {
+  const io = fakeIo(["a"]);
+  const room = fakeRoom();
+  addPlayer(room, "a", 1, 1000, 1000);
+  const b = addPlayer(room, "b", 2, 1100, 1000);
+  step(io, room);
+  acknowledgeSnapshot(room, "a", 1);
+
+  b.x = 1000 + INTEREST_RADIUS + 200;
+  updatePlayerIndex(room, b);
+  step(io, room);
+  assert.deepStrictEqual(lastSent(io, "a").removedPlayers, [2]);
+
+  // Coming back into view it is sent in full again
+  acknowledgeSnapshot(room, "a", 2);
+  b.x = 1100;
+  updatePlayerIndex(room, b);
+  step(io, room);
+  const [entry] = lastSent(io, "a").players;
+  assert.strictEqual(entry.id, 2);
+  assert.strictEqual(entry.userName, "b");
+});
+
+test("deltas stay against the last acked tick until a newer ack", () => {
+  const io = fakeIo(["a"]);
+  const room = fakeRoom();
+  const a = addPlayer(room, "a", 1, 1000, 1000);
+  step(io, room);
+  acknowledgeSnapshot(room, "a", 1);
+
+  a.x = 1010;
+  updatePlayerIndex(room, a);
+  step(io, room);
+  step(io, room);
+  // Tick 2 was never acked, so tick 3 still carries the move
+  assert.strictEqual(lastSent(io, "a").baseTick, 1);
+  assert.deepStrictEqual(lastSent(io, "a").players, [{ id: 1, x: 1010 }]);
+
+  acknowledgeSnapshot(room, "a", 3);
+  step(io, room);
+  assert.strictEqual(lastSent(io, "a").baseTick, 3);
+  assert.deepStrictEqual(lastSent(io, "a").players, []);
+});
+
+test("acks for unknown or older ticks don't move the baseline", () => {
+  const io = fakeIo(["a"]);
+  const room = fakeRoom();
+  addPlayer(room, "a", 1, 1000, 1000);
+  step(io, room);
+  step(io, room);
+
+  assert.strictEqual(acknowledgeSnapshot(room, "a", 99), false);
+  assert.strictEqual(acknowledgeSnapshot(room, "nobody", 1), false);
+  assert.strictEqual(acknowledgeSnapshot(room, "a", 2), true);
+  // Older snapshots were dropped with the newer ack
+  assert.strictEqual(acknowledgeSnapshot(room, "a", 1), false);
+  assert.strictEqual(room.viewers.get("a").ackedTick, 2);
+});
+
+test("a keyframe is forced every KEYFRAME_INTERVAL ticks", () => {
+  const io = fakeIo(["a"]);
+  const room = fakeRoom();
+  addPlayer(room, "a", 1, 1000, 1000);
+  step(io, room);
+
+  const keyframes = [];
+  for (let i = 0; i < KEYFRAME_INTERVAL * 2; i++) {
+    acknowledgeSnapshot(room, "a", room.tick);
+    step(io, room);
+    if (lastSent(io, "a").keyframe) keyframes.push(room.tick);
+  }
+  assert.deepStrictEqual(keyframes, [
+    1 + KEYFRAME_INTERVAL,
+    1 + 2 * KEYFRAME_INTERVAL,
+  ]);
+});
+
+test("clients that left the channel are forgotten", () => {
+  const io = fakeIo(["a"]);
+  const room = fakeRoom();
+  addPlayer(room, "a", 1, 1000, 1000);
+  step(io, room);
+  assert.ok(room.viewers.has("a"));
+
+  io.sockets.adapter.rooms.get(CHANNEL).delete("a");
+  step(io, room);
+  assert.ok(!room.viewers.has("a"));
+});
@@ -0,0 +1,183 @@
+/************************************
+ * test/sockets/games/agarIo/zone.test.js
+ ************************************/
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  DEFAULT_ZONE,
+  validateZoneOptions,
+  initZone,
+  updateZone,
+  describeZone,
+} = require("../../../../sockets/games/agarIo/zone");
+
+const TICK_RATE = 10;
+const WORLD = { width: 600, height: 800 };
+
+function fakeRoom({ zone, mapZone } = {}) {
+  return {
+    tick: 0,
+    options: zone ? { zone } : {},
+    map: mapZone ? { zone: mapZone } : null,
+    alivePlayers: new Set(),
+    playersMap: new Map(),
+  };
+}
+
+/** Run the zone until (and including) `tick` */
+function advanceTo(room, tick) {
+  while (room.tick < tick) {
+    room.tick++;
+    updateZone(room, TICK_RATE);
+  }
+}
+
+function assertCircle(actual, expected) {
+  ["x", "y", "radius"].forEach((key) =>
+    assert.ok(
+      Math.abs(actual[key] - expected[key]) < 1e-9,
+      `${key}: ${actual[key]} != ${expected[key]}`
+    )
+  );
+}
+
+const TWO_PHASES = {
+  phases: [
+    { waitSec: 2, shrinkSec: 4 },
+    { waitSec: 1, shrinkSec: 2 },
+  ],
+  finalRadius: 100,
+};
+
+test.beforeEach((t) => {
+  t.mock.method(Math, "random", () => 0.5);
+});
+
+test("the zone starts as the circle around the whole world", () => {
+  const room = fakeRoom();
+  initZone(room, WORLD, TICK_RATE);
+  assertCircle(room.zone.current, { x: 300, y: 400, radius: 500 });
+  assert.strictEqual(room.zone.phase, 0);
+  assert.strictEqual(room.zone.shrinkStartTick, 30 * TICK_RATE);
+});
+
+test("room options win over the map preset and the defaults", () => {
+  const room = fakeRoom({
+    zone: { damagePerSec: 3 },
+    mapZone: { damagePerSec: 7, finalRadius: 20 },
+  });
+  initZone(room, WORLD, TICK_RATE);
+  assert.strictEqual(room.zone.settings.damagePerSec, 3);
+  assert.strictEqual(room.zone.settings.finalRadius, 20);
+  assert.strictEqual(
+    room.zone.settings.massLossPerSec,
+    DEFAULT_ZONE.massLossPerSec
+  );
+});
+
+test("the zone holds still while a phase waits", () => {
+  const room = fakeRoom({ zone: TWO_PHASES });
+  initZone(room, WORLD, TICK_RATE);
+  const start = room.zone.current;
+  advanceTo(room, 2 * TICK_RATE - 1);
+  assert.strictEqual(room.zone.current, start);
+  assert.strictEqual(describeZone(room, TICK_RATE).shrinking, false);
+  assert.strictEqual(describeZone(room, TICK_RATE).shrinkInMs, 100);
+});
+
+test("radii step evenly down to finalRadius over the phases", () => {
+  const room = fakeRoom({ zone: TWO_PHASES });
+  initZone(room, WORLD, TICK_RATE);
+  // Halfway from 500 to 100 for the first of two phases
+  assert.strictEqual(room.zone.next.radius, 300);
+});
+
+test("the next circle lies inside the current one", () => {
+  const room = fakeRoom({ zone: TWO_PHASES });
+  initZone(room, WORLD, TICK_RATE);
+  const { current, next } = room.zone;
+  const offset = Math.hypot(next.x - current.x, next.y - current.y);
+  assert.ok(offset + next.radius <= current.radius);
+});
+
+test("shrinking interpolates linearly from the old circle to the next", () => {
+  const room = fakeRoom({ zone: TWO_PHASES });
+  initZone(room, WORLD, TICK_RATE);
+  const { current: from, next } = room.zone;
+  const shrinkStart = 2 * TICK_RATE;
+  const shrinkTicks = 4 * TICK_RATE;
+
+  [0.25, 0.5, 0.75].forEach((t) => {
+    advanceTo(room, shrinkStart + shrinkTicks * t);
+    assertCircle(room.zone.current, {
+      x: from.x + (next.x - from.x) * t,
+      y: from.y + (next.y - from.y) * t,
+      radius: from.radius + (next.radius - from.radius) * t,
+    });
+    assert.strictEqual(describeZone(room, TICK_RATE).shrinking, true);
+  });
+});
+
+test("a finished phase lands on its circle and plans the next", () => {
+  const room = fakeRoom({ zone: TWO_PHASES });
+  initZone(room, WORLD, TICK_RATE);
+  const { next } = room.zone;
+  const phaseEnd = 6 * TICK_RATE;
+  advanceTo(room, phaseEnd);
+
+  assertCircle(room.zone.current, next);
+  assert.strictEqual(room.zone.phase, 1);
+  assert.strictEqual(room.zone.from, room.zone.current);
+  assert.strictEqual(room.zone.next.radius, 100);
+  assert.strictEqual(room.zone.shrinkStartTick, phaseEnd + TICK_RATE);
+});
+
+test("after the last phase the zone stays at finalRadius", () => {
+  const room = fakeRoom({ zone: TWO_PHASES });
+  initZone(room, WORLD, TICK_RATE);
+  advanceTo(room, 9 * TICK_RATE);
+  assert.strictEqual(room.zone.phase, 2);
+  assert.strictEqual(room.zone.next, null);
+  assert.strictEqual(room.zone.current.radius, 100);
+
+  const last = room.zone.current;
+  advanceTo(room, 20 * TICK_RATE);
+  assert.strictEqual(room.zone.current, last);
+  assert.deepStrictEqual(describeZone(room, TICK_RATE), {
+    phase: 2,
+    shrinking: false,
+    current: last,
+    next: null,
+    shrinkInMs: 0,
+  });
+});
+
+test("the zone never grows when finalRadius exceeds the world", () => {
+  const room = fakeRoom({
+    zone: { phases: [{ waitSec: 0, shrinkSec: 1 }], finalRadius: 5000 },
+  });
+  initZone(room, WORLD, TICK_RATE);
+  assert.strictEqual(room.zone.next.radius, 500);
+});
+
+test("validateZoneOptions accepts any subset of the defaults", () => {
+  assert.strictEqual(validateZoneOptions({}), null);
+  assert.strictEqual(validateZoneOptions(DEFAULT_ZONE), null);
+  assert.strictEqual(validateZoneOptions(TWO_PHASES), null);
+});
+
+test("validateZoneOptions rejects malformed settings", () => {
+  [
+    null,
+    [],
+    { phases: [] },
+    { phases: [{ waitSec: 1 }] },
+    { phases: [{ waitSec: 1, shrinkSec: 0 }] },
+    { phases: Array(11).fill({ waitSec: 1, shrinkSec: 1 }) },
+    { finalRadius: -1 },
+    { damagePerSec: "10" },
+    { speed: 1 },
+  ].forEach((zone) =>
+    assert.strictEqual(typeof validateZoneOptions(zone), "string")
+  );
+});
@@ -0,0 +1,237 @@
+/************************************
+ * test/utils/rateLimiter.test.js
+ ************************************/
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  DEFAULT_LIMIT,
+  getCoreLimit,
+  limitEvent,
+  limitRequests,
+  getRateLimitStats,
+} = require("../../utils/rateLimiter");
+
+function fakeSocket() {
+  return {
+    id: "socket-1",
+    data: {},
+    connected: true,
+    emitted: [],
+    disconnected: false,
+    once() {},
+    emit(eventName, payload) {
+      this.emitted.push({ eventName, payload });
+    },
+    disconnect() {
+      this.disconnected = true;
+      this.connected = false;
+    },
+  };
+}
+
+/**
+ * Send `eventName` once; resolves the outcome synchronously where it
+ * is known: "ran", "rejected" or "pending".
+ */
+function send(socket, eventName, limit, scope = "test") {
+  const outcome = { result: "pending", error: null };
+  limitEvent(
+    socket,
+    eventName,
+    { scope, limit },
+    () => {
+      outcome.result = "ran";
+    },
+    (error) => {
+      outcome.result = "rejected";
+      outcome.error = error;
+    }
+  );
+  return outcome;
+}
+
+test.beforeEach((t) => {
+  t.mock.timers.enable({ apis: ["setTimeout", "Date"], now: 1000000 });
+});
+
+test("getCoreLimit falls back to the default limit", () => {
+  assert.strictEqual(getCoreLimit("someUnlistedEvent"), DEFAULT_LIMIT);
+  assert.strictEqual(getCoreLimit("chat message").ratePerSec, 1);
+});
+
+test("a full bucket allows a burst, then drops", () => {
+  const socket = fakeSocket();
+  const limit = { ratePerSec: 1, burst: 3, onExcess: "drop" };
+  const results = Array.from(
+    { length: 4 },
+    () => send(socket, "burst", limit).result
+  );
+  assert.deepStrictEqual(results, ["ran", "ran", "ran", "rejected"]);
+});
+
+test("dropped events are rejected with RATE_LIMITED", () => {
+  const socket = fakeSocket();
+  const limit = { ratePerSec: 1, burst: 1, onExcess: "drop" };
+  send(socket, "rejection", limit);
+  const { error } = send(socket, "rejection", limit);
+  assert.strictEqual(error.code, "RATE_LIMITED");
+});
+
+test("tokens refill at ratePerSec, up to burst", (t) => {
+  const socket = fakeSocket();
+  const limit = { ratePerSec: 2, burst: 2, onExcess: "drop" };
+  send(socket, "refill", limit);
+  send(socket, "refill", limit);
+  assert.strictEqual(send(socket, "refill", limit).result, "rejected");
+
+  // Half a second buys one token
+  t.mock.timers.tick(500);
+  assert.strictEqual(send(socket, "refill", limit).result, "ran");
+  assert.strictEqual(send(socket, "refill", limit).result, "rejected");
+
+  // A long pause still only fills the bucket to `burst`
+  t.mock.timers.tick(60000);
+  const results = Array.from(
+    { length: 3 },
+    () => send(socket, "refill", limit).result
+  );
+  assert.deepStrictEqual(results, ["ran", "ran", "rejected"]);
+});
+
+test("buckets are per socket and per scope", () => {
+  const limit = { ratePerSec: 1, burst: 1, onExcess: "drop" };
+  const first = fakeSocket();
+  const second = fakeSocket();
+  send(first, "shared", limit);
+  assert.strictEqual(send(second, "shared", limit).result, "ran");
+  assert.strictEqual(send(first, "shared", limit, "other").result, "ran");
+  assert.strictEqual(send(first, "shared", limit).result, "rejected");
+});
+
+test("events naming the same bucket share its tokens", () => {
+  const socket = fakeSocket();
+  const limit = { ratePerSec: 1, burst: 1, onExcess: "drop" };
+  let first = "pending";
+  let second = "pending";
+  const shared = { scope: "test", limit, bucket: "joins" };
+  limitEvent(
+    socket,
+    "joinRoom",
+    shared,
+    () => (first = "ran"),
+    () => {}
+  );
+  limitEvent(
+    socket,
+    "spectateRoom",
+    shared,
+    () => (second = "ran"),
+    () => (second = "rejected")
+  );
+  assert.deepStrictEqual([first, second], ["ran", "rejected"]);
+  assert.strictEqual(getRateLimitStats().counters.test.joins.dropped, 1);
+});
+
+test("coalescing keeps only the newest excess event", (t) => {
+  const socket = fakeSocket();
+  const limit = { ratePerSec: 4, burst: 1, onExcess: "coalesce" };
+  assert.strictEqual(send(socket, "coalesce", limit).result, "ran");
+
+  const older = send(socket, "coalesce", limit);
+  assert.strictEqual(older.result, "pending");
+  const newer = send(socket, "coalesce", limit);
+  assert.strictEqual(older.result, "rejected");
+  assert.strictEqual(older.error.code, "RATE_LIMITED");
+  assert.strictEqual(newer.result, "pending");
+
+  // It runs once the next token is in (a quarter second at 4/s)
+  t.mock.timers.tick(249);
+  assert.strictEqual(newer.result, "pending");
+  t.mock.timers.tick(1);
+  assert.strictEqual(newer.result, "ran");
+});
+
+test("a held event is not run for a socket that has gone", (t) => {
+  const socket = fakeSocket();
+  const limit = { ratePerSec: 1, burst: 1, onExcess: "coalesce" };
+  send(socket, "gone", limit);
+  const held = send(socket, "gone", limit);
+  socket.connected = false;
+  t.mock.timers.tick(1000);
+  assert.strictEqual(held.result, "pending");
+});
+
+test("counters record allowed, dropped and coalesced events", () => {
+  const socket = fakeSocket();
+  const drop = { ratePerSec: 1, burst: 1, onExcess: "drop" };
+  const coalesce = { ratePerSec: 1, burst: 1, onExcess: "coalesce" };
+  send(socket, "counted", drop, "stats");
+  send(socket, "counted", drop, "stats");
+  send(socket, "coalesced", coalesce, "stats");
+  send(socket, "coalesced", coalesce, "stats");
+
+  const { counters } = getRateLimitStats();
+  assert.deepStrictEqual(counters.stats.counted, {
+    allowed: 1,
+    dropped: 1,
+    coalesced: 0,
+  });
+  assert.deepStrictEqual(counters.stats.coalesced, {
+    allowed: 1,
+    dropped: 0,
+    coalesced: 1,
+  });
+});
+
+/**
+ * Pass one request from `ip` through `middleware`: the status it was
+ * refused with, or "next" if it got through.
+ */
+function request(middleware, ip) {
+  let outcome = "next";
+  const res = {
+    set() {},
+    status(code) {
+      outcome = code;
+      return this;
+    },
+    json() {},
+  };
+  middleware({ ip }, res, () => {});
+  return outcome;
+}
+
+test("limitRequests keeps one bucket per client IP", (t) => {
+  const middleware = limitRequests("test", { ratePerSec: 1, burst: 2 });
+  const results = Array.from({ length: 3 }, () =>
+    request(middleware, "1.1.1.1")
+  );
+  assert.deepStrictEqual(results, ["next", "next", 429]);
+  assert.strictEqual(request(middleware, "2.2.2.2"), "next");
+
+  t.mock.timers.tick(1000);
+  assert.strictEqual(request(middleware, "1.1.1.1"), "next");
+  assert.strictEqual(getRateLimitStats().counters.http.test.dropped, 1);
+});
+
+test("flooding earns warnings, then a disconnect", () => {
+  const socket = fakeSocket();
+  const limit = { ratePerSec: 0.001, burst: 1, onExcess: "drop" };
+  const { violationsPerWarning, maxWarnings } = getRateLimitStats().flood;
+
+  send(socket, "flood", limit);
+  for (let i = 0; i < violationsPerWarning * maxWarnings; i++) {
+    send(socket, "flood", limit);
+  }
+  const warnings = socket.emitted.filter(
+    (e) => e.eventName === "rateLimitWarning"
+  );
+  assert.strictEqual(warnings.length, maxWarnings);
+  assert.strictEqual(socket.disconnected, false);
+
+  for (let i = 0; i < violationsPerWarning; i++) {
+    send(socket, "flood", limit);
+  }
+  assert.strictEqual(socket.disconnected, true);
+  assert.ok(socket.emitted.some((e) => e.eventName === "rateLimitDisconnect"));
+});
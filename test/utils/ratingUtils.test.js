@@ -0,0 +1,178 @@
+/************************************
+ * test/utils/ratingUtils.test.js
+ ************************************/
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Ratings are persisted; keep them out of the real data directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ratings-test-"));
+process.env.DATA_DIR = dataDir;
+
+const {
+  INITIAL_RATING,
+  K_FACTOR,
+  expectedScore,
+  computeRatingChanges,
+  getPlayerRating,
+  applyMatchRatings,
+  getLeaderboard,
+} = require("../../utils/ratingUtils");
+
+let matchCount = 0;
+
+/**
+ * Record a match of game `gameId` won by `winnerId` among `playerIds`.
+ */
+function playMatch(gameId, winnerId, playerIds) {
+  matchCount++;
+  applyMatchRatings({
+    gameId,
+    winnerId,
+    endedAt: matchCount,
+    participants: playerIds.map((playerId) => ({
+      playerId,
+      userName: playerId.toUpperCase(),
+    })),
+  });
+}
+
+test.after(async () => {
+  // Let the batched write land before cleaning up
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("unrated players start at INITIAL_RATING", () => {
+  assert.strictEqual(getPlayerRating(1, "nobody"), INITIAL_RATING);
+});
+
+test("a 1v1 between equals moves both players by K/2", () => {
+  playMatch(10, "ann", ["ann", "bob"]);
+  assert.strictEqual(getPlayerRating(10, "ann"), INITIAL_RATING + 16);
+  assert.strictEqual(getPlayerRating(10, "bob"), INITIAL_RATING - 16);
+});
+
+test("ratings are kept per game", () => {
+  playMatch(11, "bob", ["ann", "bob"]);
+  assert.strictEqual(getPlayerRating(11, "bob"), INITIAL_RATING + 16);
+  assert.strictEqual(getPlayerRating(10, "bob"), INITIAL_RATING - 16);
+});
+
+test("an upset is worth more than a win between equals", () => {
+  playMatch(12, "ann", ["ann", "bob"]);
+  const before = getPlayerRating(12, "bob");
+  playMatch(12, "bob", ["ann", "bob"]);
+  assert.ok(getPlayerRating(12, "bob") - before > 16);
+});
+
+test("a multiplayer win is worth a 1v1 win, not one per opponent", () => {
+  playMatch(13, "ann", ["ann", "bob", "cat", "dan"]);
+  assert.strictEqual(getPlayerRating(13, "ann"), INITIAL_RATING + 16);
+  ["bob", "cat", "dan"].forEach((playerId) =>
+    assert.ok(getPlayerRating(13, playerId) < INITIAL_RATING)
+  );
+});
+
+test("matches without a winner change nothing", () => {
+  playMatch(14, null, ["ann", "bob"]);
+  playMatch(14, "zed", ["ann", "bob"]);
+  assert.deepStrictEqual(getLeaderboard(14), []);
+});
+
+test("guests are left out of ratings", () => {
+  playMatch(16, "ann", ["ann", "guest-1", "bob"]);
+  assert.strictEqual(getPlayerRating(16, "ann"), INITIAL_RATING + 16);
+  assert.strictEqual(getPlayerRating(16, "bob"), INITIAL_RATING - 16);
+
+  // A guest's win, or a match against guests only, rates nobody
+  playMatch(17, "guest-1", ["ann", "guest-1"]);
+  playMatch(17, "ann", ["ann", "guest-1"]);
+  assert.deepStrictEqual(getLeaderboard(17), []);
+  assert.deepStrictEqual(
+    getLeaderboard(16).map((entry) => entry.playerId),
+    ["ann", "bob"]
+  );
+});
+
+test("the leaderboard ranks by rating and counts results", () => {
+  playMatch(15, "ann", ["ann", "bob"]);
+  playMatch(15, "ann", ["ann", "cat"]);
+  playMatch(15, "cat", ["bob", "cat"]);
+
+  const leaderboard = getLeaderboard(15);
+  assert.deepStrictEqual(
+    leaderboard.map(({ rank, playerId }) => [rank, playerId]),
+    [
+      [1, "ann"],
+      [2, "cat"],
+      [3, "bob"],
+    ]
+  );
+  assert.deepStrictEqual(
+    leaderboard.map(({ matches, wins, losses }) => [matches, wins, losses]),
+    [
+      [2, 2, 0],
+      [2, 1, 1],
+      [2, 0, 2],
+    ]
+  );
+  assert.strictEqual(getLeaderboard(15, 1).length, 1);
+});
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+test("expectedScore is even between equal ratings", () => {
+  assert.strictEqual(expectedScore(1200, 1200), 0.5);
+});
+
+test("expectedScore favours the higher rating, symmetrically", () => {
+  const favourite = expectedScore(1400, 1000);
+  assert.ok(favourite > 0.9);
+  assert.ok(Math.abs(favourite + expectedScore(1000, 1400) - 1) < 1e-12);
+});
+
+test("a 1v1 between equals moves both players by K/2", () => {
+  const { winnerDelta, loserDeltas } = computeRatingChanges(1000, [1000]);
+  assert.strictEqual(winnerDelta, K_FACTOR / 2);
+  assert.deepStrictEqual(loserDeltas, [-K_FACTOR / 2]);
+});
+
+test("an upset is worth more than beating a weaker player", () => {
+  const upset = computeRatingChanges(1000, [1400]).winnerDelta;
+  const expected = computeRatingChanges(1400, [1000]).winnerDelta;
+  assert.ok(upset > expected);
+});
+
+test("rating changes add up to zero", () => {
+  [
+    [1000, [1000]],
+    [1000, [1000, 1000, 1000]],
+    [1250, [900, 1600, 1100]],
+    [800, [2000, 1900]],
+  ].forEach(([winnerRating, loserRatings]) => {
+    const { winnerDelta, loserDeltas } = computeRatingChanges(
+      winnerRating,
+      loserRatings
+    );
+    assert.ok(Math.abs(winnerDelta + sum(loserDeltas)) < 1e-9);
+  });
+});
+
+test("a multiplayer win splits K across the pairings", () => {
+  const { winnerDelta, loserDeltas } = computeRatingChanges(
+    1000,
+    [1000, 1000, 1000]
+  );
+  // Same as a 1v1 between equals, not three times it
+  assert.strictEqual(winnerDelta, K_FACTOR / 2);
+  loserDeltas.forEach((delta) => assert.strictEqual(delta, -K_FACTOR / 6));
+});
+
+test("stronger losers lose more than weaker ones", () => {
+  const { loserDeltas } = computeRatingChanges(1000, [800, 1200]);
+  assert.ok(loserDeltas[1] < loserDeltas[0]);
+  loserDeltas.forEach((delta) => assert.ok(delta < 0));
+});
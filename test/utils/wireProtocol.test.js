@@ -0,0 +1,201 @@
+/************************************
+ * test/utils/wireProtocol.test.js
+ ************************************/
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  COORD_SCALE,
+  checkSchema,
+  negotiateWireFormat,
+  encodeMessage,
+  decodeMessage,
+  isBinaryPayload,
+  encodeGameEvent,
+  decodeGameEvent,
+} = require("../../utils/wireProtocol");
+
+const roundTrip = (schema, value) =>
+  decodeMessage(schema, encodeMessage(schema, value));
+
+test("uints are little-endian base-128 varints", () => {
+  assert.deepStrictEqual([...encodeMessage("uint", 0)], [0]);
+  assert.deepStrictEqual([...encodeMessage("uint", 127)], [0x7f]);
+  assert.deepStrictEqual([...encodeMessage("uint", 128)], [0x80, 0x01]);
+  assert.deepStrictEqual([...encodeMessage("uint", 300)], [0xac, 0x02]);
+});
+
+test("uints round-trip up to the largest safe integer", () => {
+  [0, 1, 127, 128, 16383, 16384, 2 ** 32, Number.MAX_SAFE_INTEGER].forEach(
+    (value) => assert.strictEqual(roundTrip("uint", value), value)
+  );
+});
+
+test("uints floor fractions and clamp negatives to zero", () => {
+  assert.strictEqual(roundTrip("uint", 41.9), 41);
+  assert.strictEqual(roundTrip("uint", -5), 0);
+});
+
+test("ints are zigzag-encoded so small negatives stay small", () => {
+  assert.deepStrictEqual([...encodeMessage("int", 0)], [0]);
+  assert.deepStrictEqual([...encodeMessage("int", -1)], [1]);
+  assert.deepStrictEqual([...encodeMessage("int", 1)], [2]);
+  assert.deepStrictEqual([...encodeMessage("int", -64)], [127]);
+  [-1000000, -129, -1, 0, 1, 129, 1000000].forEach((value) =>
+    assert.strictEqual(roundTrip("int", value), value)
+  );
+});
+
+test("coords are quantized to 1/COORD_SCALE", () => {
+  assert.strictEqual(roundTrip("coord", 12.34), 12.3);
+  assert.strictEqual(roundTrip("coord", -7.06), -7.1);
+  assert.strictEqual(roundTrip("coord", 1999.9), 1999.9);
+  assert.ok(Math.abs(roundTrip("coord", 0.26) - 0.3) < 1 / COORD_SCALE);
+});
+
+test("floats are 32-bit", () => {
+  assert.strictEqual(encodeMessage("float", 1.5).length, 4);
+  assert.strictEqual(roundTrip("float", 1.5), 1.5);
+  assert.strictEqual(roundTrip("float", 0.1), Math.fround(0.1));
+});
+
+test("strings and bools round-trip", () => {
+  ["", "tomato", "naïve 🍅"].forEach((value) =>
+    assert.strictEqual(roundTrip("string", value), value)
+  );
+  assert.strictEqual(roundTrip("bool", true), true);
+  assert.strictEqual(roundTrip("bool", false), false);
+});
+
+test("arrays round-trip", () => {
+  assert.deepStrictEqual(roundTrip({ array: "int" }, [3, -2, 0]), [3, -2, 0]);
+  assert.deepStrictEqual(roundTrip({ array: "string" }, []), []);
+});
+
+test("objects only carry the keys present", () => {
+  const schema = {
+    object: [
+      ["id", "uint"],
+      ["name", "string"],
+      ["x", "coord"],
+      ["alive", "bool"],
+    ],
+  };
+  assert.deepStrictEqual(
+    roundTrip(schema, { id: 7, name: "Ann", x: 10.5, alive: false }),
+    { id: 7, name: "Ann", x: 10.5, alive: false }
+  );
+  // null and undefined keys cost nothing and decode as missing
+  const sparse = encodeMessage(schema, { id: 7, name: null, x: undefined });
+  assert.deepStrictEqual([...sparse], [0b0001, 7]);
+  assert.deepStrictEqual(decodeMessage(schema, sparse), { id: 7 });
+  // Keys outside the schema are not sent
+  assert.deepStrictEqual(roundTrip(schema, { id: 1, extra: "x" }), { id: 1 });
+});
+
+test("nested objects and arrays round-trip", () => {
+  const schema = {
+    object: [
+      ["tick", "uint"],
+      [
+        "players",
+        {
+          array: {
+            object: [
+              ["id", "uint"],
+              ["effects", { array: "string" }],
+            ],
+          },
+        },
+      ],
+      ["removedPlayers", { array: "uint" }],
+    ],
+  };
+  const value = {
+    tick: 9001,
+    players: [{ id: 1, effects: ["speed"] }, { id: 2 }],
+    removedPlayers: [3],
+  };
+  assert.deepStrictEqual(roundTrip(schema, value), value);
+});
+
+test("truncated input throws", () => {
+  const schema = { object: [["name", "string"]] };
+  const bytes = encodeMessage(schema, { name: "tomato" });
+  assert.throws(() => decodeMessage(schema, bytes.subarray(0, 4)), {
+    message: "Truncated message",
+  });
+  assert.throws(() => decodeMessage("uint", Buffer.from([0x80])), {
+    message: "Truncated message",
+  });
+  assert.throws(() => decodeMessage({ array: "bool" }, Buffer.from([5, 1])), {
+    message: "Truncated message",
+  });
+});
+
+test("overlong varints throw", () => {
+  assert.throws(() => decodeMessage("uint", Buffer.alloc(10, 0xff)), {
+    message: "Varint too long",
+  });
+});
+
+test("checkSchema accepts valid schemas and names the bad part", () => {
+  checkSchema({ object: [["list", { array: "coord" }]] });
+  assert.throws(() => checkSchema({ object: [["a", "double"]] }), {
+    message: 'schema.a has unknown type "double"',
+  });
+  assert.throws(() => checkSchema({ array: { foo: 1 } }), {
+    message: "schema[] is not a wire schema",
+  });
+  const tooWide = {
+    object: Array.from({ length: 33 }, (_, i) => [`k${i}`, "bool"]),
+  };
+  assert.throws(() => checkSchema(tooWide), /more than 32 keys/);
+});
+
+test("negotiateWireFormat defaults to JSON", () => {
+  assert.strictEqual(
+    negotiateWireFormat({ auth: { wireFormat: "binary" } }),
+    "binary"
+  );
+  assert.strictEqual(
+    negotiateWireFormat({ auth: { wireFormat: "xml" } }),
+    "json"
+  );
+  assert.strictEqual(negotiateWireFormat({ auth: {} }), "json");
+  assert.strictEqual(negotiateWireFormat({}), "json");
+});
+
+test("game events carry the gameId and roomId before the body", () => {
+  const schema = {
+    object: [
+      ["direction", "string"],
+      ["seq", "uint"],
+    ],
+  };
+  const payload = encodeGameEvent(2, "abc123", schema, {
+    direction: "up",
+    seq: 5,
+  });
+  assert.ok(isBinaryPayload(payload));
+  assert.ok(!isBinaryPayload({ gameId: 2 }));
+
+  const seen = [];
+  const decoded = decodeGameEvent(payload, (gameId) => {
+    seen.push(gameId);
+    return schema;
+  });
+  assert.deepStrictEqual(seen, [2]);
+  assert.deepStrictEqual(decoded, {
+    direction: "up",
+    seq: 5,
+    gameId: 2,
+    roomId: "abc123",
+  });
+});
+
+test("game events for a game without a schema are refused", () => {
+  const payload = encodeGameEvent(9, "room", "uint", 1);
+  assert.throws(() => decodeGameEvent(payload, () => undefined), {
+    message: "No wire schema for game 9",
+  });
+});
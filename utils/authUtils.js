@@ -0,0 +1,146 @@
+/************************************
+ * utils/authUtils.js
+ ************************************/
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+// Async so a hash (tens of ms of CPU) doesn't stall the event loop
+const scrypt = promisify(crypto.scrypt);
+
+/** Signed tokens live this long (seconds) */
+const TOKEN_TTL_SECONDS =
+  parseInt(process.env.AUTH_TOKEN_TTL_SECONDS, 10) || 7 * 24 * 60 * 60;
+
+const AUTH_SECRET =
+  process.env.AUTH_SECRET ||
+  (() => {
+    console.warn(
+      "[Server] AUTH_SECRET is not set -> using a random secret, tokens will not survive a restart"
+    );
+    return crypto.randomBytes(32).toString("hex");
+  })();
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function sign(data) {
+  return crypto
+    .createHmac("sha256", AUTH_SECRET)
+    .update(data)
+    .digest("base64url");
+}
+
+/**
+ * Issue an HS256 JWT-style token: header.payload.signature
+ */
+function signToken(payload) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = base64url(
+    JSON.stringify({ ...payload, iat: now, exp: now + TOKEN_TTL_SECONDS })
+  );
+  return `${header}.${body}.${sign(`${header}.${body}`)}`;
+}
+
+/**
+ * Returns the token payload, or null if it is malformed, forged or expired.
+ */
+function verifyToken(token) {
+  if (typeof token !== "string") return null;
+  const [header, body, signature] = token.split(".");
+  if (!header || !body || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${body}`));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+    if (payload.exp && payload.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return payload;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Hash a password as "salt:hash" (scrypt). Resolves to the string.
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = (await scrypt(password, salt, 64)).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (typeof stored !== "string" || !stored.includes(":")) return false;
+  const [salt, hash] = stored.split(":");
+  const expected = Buffer.from(hash, "hex");
+  const actual = await scrypt(password, salt, 64);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+/** Guest userIds start with this, so they can be told apart anywhere */
+const GUEST_ID_PREFIX = "guest-";
+
+/**
+ * A throwaway identity for players who don't log in.
+ */
+function createGuestIdentity() {
+  const suffix = crypto.randomBytes(3).toString("hex");
+  return {
+    userId: `${GUEST_ID_PREFIX}${crypto.randomBytes(8).toString("hex")}`,
+    userName: `Guest-${suffix}`,
+    isGuest: true,
+  };
+}
+
+function isGuestId(userId) {
+  return typeof userId === "string" && userId.startsWith(GUEST_ID_PREFIX);
+}
+
+/**
+ * Token for an identity ({ userId, userName, isGuest }).
+ */
+function issueIdentityToken(identity) {
+  return signToken({
+    sub: identity.userId,
+    name: identity.userName,
+    guest: !!identity.isGuest,
+  });
+}
+
+/**
+ * Identity from a token issued by issueIdentityToken, or null.
+ */
+function identityFromToken(token) {
+  const payload = verifyToken(token);
+  if (!payload || !payload.sub || !payload.name) return null;
+  return {
+    userId: payload.sub,
+    userName: payload.name,
+    isGuest: !!payload.guest,
+  };
+}
+
+module.exports = {
+  signToken,
+  verifyToken,
+  hashPassword,
+  verifyPassword,
+  createGuestIdentity,
+  isGuestId,
+  issueIdentityToken,
+  identityFromToken,
+};
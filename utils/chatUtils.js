@@ -0,0 +1,105 @@
+/************************************
+ * utils/chatUtils.js
+ ************************************/
+const crypto = require("crypto");
+
+/** Chat scopes and the Socket.IO channel each one maps to */
+const CHAT_SCOPES = ["global", "game", "room"];
+
+/** Messages kept (and replayed to newcomers) per channel */
+const HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT, 10) || 50;
+/** Oldest channel histories are dropped past this many channels */
+const MAX_CHANNELS = 1000;
+const MAX_MESSAGE_LENGTH = 500;
+
+// channelKey -> [message] (Map keeps insertion order for eviction)
+const histories = new Map();
+
+/**
+ * Normalise a { scope, gameId, roomId } target; null if incomplete.
+ */
+function resolveTarget({ scope = "global", gameId, roomId } = {}) {
+  if (!CHAT_SCOPES.includes(scope)) return null;
+  if (scope === "global") return { scope, key: "global" };
+  if (gameId === undefined || gameId === null) return null;
+  if (scope === "game") {
+    return { scope, gameId, key: `game:${gameId}`, channel: gameId };
+  }
+  if (roomId === undefined || roomId === null) return null;
+  const channel = `${gameId}-${roomId}`;
+  return { scope, gameId, roomId, key: `room:${channel}`, channel };
+}
+
+function getHistory(key) {
+  if (!histories.has(key)) {
+    histories.set(key, []);
+    if (histories.size > MAX_CHANNELS) {
+      histories.delete(histories.keys().next().value);
+    }
+  }
+  return histories.get(key);
+}
+
+/**
+ * Store and deliver a message. `sender` is { userId, userName }, or
+ * null for system messages. Sockets in `exceptSocketIds` (e.g. users who
+ * muted the sender) don't receive it.
+ */
+function postMessage(io, target, sender, text, { exceptSocketIds = [] } = {}) {
+  const message = {
+    id: crypto.randomUUID(),
+    scope: target.scope,
+    gameId: target.gameId !== undefined ? target.gameId : null,
+    roomId: target.roomId !== undefined ? target.roomId : null,
+    sender: sender
+      ? { userId: sender.userId, userName: sender.userName }
+      : null,
+    system: !sender,
+    text,
+    timestamp: Date.now(),
+  };
+
+  const history = getHistory(target.key);
+  history.push(message);
+  if (history.length > HISTORY_LIMIT) history.shift();
+
+  const recipients = target.scope === "global" ? io : io.to(target.channel);
+  recipients.except(exceptSocketIds).emit("chat message", message);
+  return message;
+}
+
+/**
+ * Announce something (join, leave, elimination, winner) in a scope.
+ */
+function postSystemMessage(io, scopeInfo, text) {
+  const target = resolveTarget(scopeInfo);
+  if (!io || !target) return null;
+  return postMessage(io, target, null, text);
+}
+
+/**
+ * Replay a channel's history to one socket, minus messages from
+ * `hiddenSenderIds` (a Set of user ids the socket's user muted).
+ */
+function sendHistory(socket, scopeInfo, { hiddenSenderIds = new Set() } = {}) {
+  const target = resolveTarget(scopeInfo);
+  if (!target) return;
+  const messages = (histories.get(target.key) || []).filter(
+    (m) => !m.sender || !hiddenSenderIds.has(m.sender.userId)
+  );
+  socket.emit("chatHistory", {
+    scope: target.scope,
+    gameId: target.gameId !== undefined ? target.gameId : null,
+    roomId: target.roomId !== undefined ? target.roomId : null,
+    messages,
+  });
+}
+
+module.exports = {
+  CHAT_SCOPES,
+  MAX_MESSAGE_LENGTH,
+  resolveTarget,
+  postMessage,
+  postSystemMessage,
+  sendHistory,
+};
@@ -0,0 +1,83 @@
+/************************************
+ * utils/errorCodes.js
+ ************************************/
+
+/**
+ * Every error code a socket ack (or "eventError") can carry, with the
+ * default English message. Clients localise by code; the message is a
+ * fallback and may be more specific than the default.
+ */
+const ERROR_CODES = {
+  INVALID_PAYLOAD: "The request is malformed.",
+  RATE_LIMITED: "Too many requests, slow down.",
+  INTERNAL_ERROR: "Something went wrong on the server.",
+
+  // Identity and sessions
+  NAME_INVALID: "That user name is not allowed.",
+  NAME_RESERVED: "That name belongs to an account.",
+  NAME_TAKEN: "That name is already in use.",
+  SESSION_EXPIRED: "Session expired or unknown.",
+  FORBIDDEN: "You are not allowed to do that.",
+
+  // Chat and moderation
+  CHAT_CHANNEL_UNKNOWN: "Unknown chat channel.",
+  CHAT_NOT_MEMBER: "Join that channel to chat in it.",
+  CHAT_MUTED: "You are muted.",
+  INVALID_USER: "Invalid user.",
+  INVALID_DURATION: "Invalid mute duration.",
+
+  // Games, rooms and the lobby
+  UNKNOWN_GAME: "Unknown game.",
+  ROOM_NOT_FOUND: "Room not found.",
+  ROOM_FULL: "Room is full.",
+  ROOM_ACCESS_DENIED: "This room requires a valid invite code or password.",
+  ROOM_KICKED: "You were removed from this room.",
+  ROOM_LOCKED: "Settings are locked once the countdown has started.",
+  INVALID_SETTINGS: "Invalid room settings.",
+  NOT_HOST: "Only the host can do that.",
+  NOT_IN_ROOM: "You are not in this room.",
+  ALREADY_IN_ROOM: "Leave your current room first.",
+  NOT_ENOUGH_PLAYERS: "Not enough players to start.",
+  COUNTDOWN_RUNNING: "The countdown is already running.",
+  PLAYER_NOT_FOUND: "Player not found in this room.",
+  CANNOT_KICK_HOST: "The host cannot kick themselves.",
+  QUEUE_INVALID: "Cannot join the queue.",
+  NOT_QUEUED: "You are not in a queue.",
+
+  // Spectating
+  SPECTATOR_LIMIT: "Spectator limit reached.",
+  SPECTATOR_READ_ONLY: "Spectators cannot do that.",
+  PLAYER_CANNOT_SPECTATE: "Players cannot spectate their room.",
+
+  // In-game actions
+  GAME_NOT_ACTIVE: "The game is not running.",
+  EVENT_NOT_SUPPORTED: "This game does not handle that event.",
+  NOT_YOUR_TURN: "It is not your turn.",
+  PLAYER_ELIMINATED: "You have been eliminated.",
+  CARD_NOT_IN_HAND: "You don't hold that card.",
+  BULLET_TYPE_NOT_ALLOWED: "That bullet type is disabled in this room.",
+  WEAPON_COOLDOWN: "Your weapon is cooling down.",
+  NOT_ENOUGH_ENERGY: "Not enough energy to fire.",
+  WRONG_GAME_MODE: "That isn't available in this game mode.",
+  CANNOT_SPLIT: "Your cell can't split right now.",
+  CANNOT_EJECT: "Your cell can't eject mass right now.",
+};
+
+/**
+ * Error thrown by socket handlers; turned into
+ * { ok: false, error: { code, message, details? } } by the event wrapper.
+ */
+class GameError extends Error {
+  constructor(code, message, details) {
+    super(message || ERROR_CODES[code] || code);
+    this.name = "GameError";
+    this.code = ERROR_CODES[code] ? code : "INTERNAL_ERROR";
+    // Optional machine-readable extras, e.g. { mutedUntil }
+    this.details = details || null;
+  }
+}
+
+module.exports = {
+  ERROR_CODES,
+  GameError,
+};
@@ -0,0 +1,216 @@
+/************************************
+ * utils/eventUtils.js
+ ************************************/
+const { GameError } = require("./errorCodes");
+const { getCoreLimit, limitEvent } = require("./rateLimiter");
+
+/**
+ * Payload schemas are plain objects describing one value:
+ *
+ *   { type, required, enum, min, max, maxLength, pattern, properties }
+ *
+ * `type` is "string", "number", "integer", "boolean", "object", "id"
+ * (a positive integer; numeric strings are converted) or a list of
+ * those. Objects with `properties` keep only the declared keys.
+ */
+const TYPE_LABELS = {
+  string: "a string",
+  number: "a number",
+  integer: "a whole number",
+  boolean: "true or false",
+  object: "an object",
+  id: "a positive whole number",
+};
+
+function describeType(type) {
+  const types = Array.isArray(type) ? type : [type];
+  return types.map((t) => TYPE_LABELS[t] || t).join(" or ");
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "object":
+      return !!value && typeof value === "object" && !Array.isArray(value);
+    case "id":
+      return (
+        (Number.isInteger(value) && value > 0) ||
+        (typeof value === "string" && /^[1-9]\d*$/.test(value))
+      );
+    default:
+      return false;
+  }
+}
+
+function checkValue(spec, value, path) {
+  if (value === undefined || value === null) {
+    if (spec.required) {
+      throw new GameError("INVALID_PAYLOAD", `${path} is required.`);
+    }
+    return undefined;
+  }
+
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+  const type = types.find((t) => matchesType(t, value));
+  if (!type) {
+    throw new GameError(
+      "INVALID_PAYLOAD",
+      `${path} must be ${describeType(spec.type)}.`
+    );
+  }
+
+  if (type === "id") return Number(value);
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    throw new GameError(
+      "INVALID_PAYLOAD",
+      `${path} must be one of: ${spec.enum.join(", ")}.`
+    );
+  }
+  if (type === "string") {
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      throw new GameError(
+        "INVALID_PAYLOAD",
+        `${path} must be at most ${spec.maxLength} characters.`
+      );
+    }
+    if (spec.pattern && !spec.pattern.test(value)) {
+      throw new GameError("INVALID_PAYLOAD", `${path} is malformed.`);
+    }
+  }
+  if (type === "number" || type === "integer") {
+    if (
+      (spec.min !== undefined && value < spec.min) ||
+      (spec.max !== undefined && value > spec.max)
+    ) {
+      throw new GameError(
+        "INVALID_PAYLOAD",
+        `${path} must be between ${spec.min ?? "-∞"} and ${spec.max ?? "∞"}.`
+      );
+    }
+  }
+  if (type === "object" && spec.properties) {
+    const checked = {};
+    Object.entries(spec.properties).forEach(([key, propSpec]) => {
+      const propPath = path === "payload" ? key : `${path}.${key}`;
+      const propValue = checkValue(propSpec, value[key], propPath);
+      if (propValue !== undefined) checked[key] = propValue;
+    });
+    return checked;
+  }
+  return value;
+}
+
+/**
+ * Validate (and normalise) a payload against a schema. Throws a
+ * GameError with code INVALID_PAYLOAD on the first problem found.
+ * A missing object payload counts as {} unless the schema requires it.
+ */
+function validatePayload(schema, payload) {
+  if (!schema) return payload;
+  if (payload === undefined && schema.type === "object" && !schema.required) {
+    payload = {};
+  }
+  return checkValue(schema, payload, "payload");
+}
+
+function toErrorBody(err, eventName) {
+  if (err instanceof GameError) {
+    // The rate limiter reports floods itself
+    if (err.code !== "RATE_LIMITED") {
+      console.log(`[Server] ${eventName} -> ${err.code}: ${err.message}`);
+    }
+    return err.details
+      ? { code: err.code, message: err.message, details: err.details }
+      : { code: err.code, message: err.message };
+  }
+  console.error(`[Server] ${eventName} -> handler failed:`, err);
+  const internal = new GameError("INTERNAL_ERROR");
+  return { code: internal.code, message: internal.message };
+}
+
+/**
+ * Register `handler(payload)` for a socket event.
+ *
+ * Each event first passes the socket's rate limiter: `rateLimit(payload)`
+ * picks the { scope, limit, bucket? } to apply (core limits by default).
+ * The payload is then validated against `schema`. Whatever the handler
+ * returns (or resolves to, for async handlers) is sent back as
+ * { ok: true, error: null, ...result }; a thrown GameError becomes
+ * { ok: false, error: { code, message } }. Clients that didn't pass an
+ * ack callback receive failures as "eventError" instead (except
+ * rate-limit rejections, which would only add to the flood).
+ *
+ * `decode(payload)`, if given, runs first and turns a wire-encoded
+ * payload into an object; if it throws, the event fails validation.
+ */
+function onEvent(
+  socket,
+  eventName,
+  schema,
+  handler,
+  { rateLimit, decode } = {}
+) {
+  socket.on(eventName, (...args) => {
+    const callback =
+      typeof args[args.length - 1] === "function" ? args.pop() : null;
+
+    let payload = args[0];
+    let decodeFailed = false;
+    if (decode) {
+      try {
+        payload = decode(payload);
+      } catch (err) {
+        payload = undefined;
+        decodeFailed = true;
+      }
+    }
+
+    const fail = (err) => {
+      const error = toErrorBody(err, eventName);
+      if (callback) {
+        callback({ ok: false, error });
+      } else if (error.code !== "RATE_LIMITED") {
+        socket.emit("eventError", { event: eventName, ...error });
+      }
+    };
+
+    const run = () => {
+      let result;
+      try {
+        if (decodeFailed) {
+          throw new GameError("INVALID_PAYLOAD", "Malformed binary payload.");
+        }
+        result = handler(validatePayload(schema, payload));
+      } catch (err) {
+        fail(err);
+        return;
+      }
+      const reply = (value) => {
+        if (callback) callback({ ok: true, error: null, ...(value || {}) });
+      };
+      if (result && typeof result.then === "function") {
+        result.then(reply, fail);
+      } else {
+        reply(result);
+      }
+    };
+
+    const selected = rateLimit
+      ? rateLimit(payload)
+      : { scope: "core", limit: getCoreLimit(eventName) };
+    limitEvent(socket, eventName, selected, run, fail);
+  });
+}
+
+module.exports = {
+  validatePayload,
+  onEvent,
+};
@@ -1,97 +1,324 @@
 /************************************
  * utils/gameRegistry.js
  ************************************/
+const fs = require("fs");
+const path = require("path");
+const { validatePayload, onEvent } = require("./eventUtils");
+const { GameError } = require("./errorCodes");
+const { getCoreLimit } = require("./rateLimiter");
+const {
+  checkSchema,
+  isBinaryPayload,
+  decodeGameEvent,
+} = require("./wireProtocol");
 
-const games = {};
+const GAMES_DIR = path.join(__dirname, "..", "sockets", "games");
 
-function loadGameModule(gameId) {
-  switch (gameId) {
-    case 1:
-      // Biggest Tomato
-      if (!games.biggestTomato) {
-        games.biggestTomato = require("../sockets/games/biggestTomato");
+/** Lifecycle hooks every game descriptor must provide */
+const REQUIRED_HOOKS = ["start", "broadcast", "end"];
+/** Hooks a descriptor may provide */
+const OPTIONAL_HOOKS = [
+  "describeRoom",
+  "rebindPlayer",
+  "holdPlayer",
+  "playerMatchStats",
+  "validateOptions",
+  "describeStart",
+];
+
+// Descriptors keyed by numeric game id, filled lazily on first lookup
+let descriptors = null;
+
+/**
+ * Throws if the descriptor exported by `file` is missing required fields.
+ */
+function validateDescriptor(descriptor, file) {
+  if (!descriptor || typeof descriptor !== "object") {
+    throw new Error(`Game module ${file} does not export a descriptor`);
+  }
+  if (!Number.isInteger(descriptor.id) || descriptor.id <= 0) {
+    throw new Error(`Game module ${file} has an invalid id`);
+  }
+  if (typeof descriptor.name !== "string" || !descriptor.name) {
+    throw new Error(`Game module ${file} has an invalid name`);
+  }
+
+  const { minPlayers, maxPlayers } = descriptor;
+  if (
+    !Number.isInteger(minPlayers) ||
+    !Number.isInteger(maxPlayers) ||
+    minPlayers < 1 ||
+    maxPlayers < minPlayers
+  ) {
+    throw new Error(`Game module ${file} has invalid player limits`);
+  }
+
+  REQUIRED_HOOKS.forEach((hook) => {
+    if (typeof descriptor[hook] !== "function") {
+      throw new Error(`Game module ${file} is missing the "${hook}" hook`);
+    }
+  });
+
+  OPTIONAL_HOOKS.forEach((hook) => {
+    if (hook in descriptor && typeof descriptor[hook] !== "function") {
+      throw new Error(`Game module ${file} has a non-function "${hook}"`);
+    }
+  });
+
+  if (typeof descriptor.validateOptions === "function") {
+    const optionsError = descriptor.validateOptions({
+      ...(descriptor.defaultOptions || {}),
+    });
+    if (optionsError) {
+      throw new Error(
+        `Game module ${file} has invalid defaultOptions: ${optionsError}`
+      );
+    }
+  }
+
+  const events = descriptor.events || {};
+  Object.entries(events).forEach(([eventName, handler]) => {
+    if (typeof handler !== "function") {
+      throw new Error(
+        `Game module ${file} has a non-function handler for "${eventName}"`
+      );
+    }
+  });
+
+  Object.keys(descriptor.eventSchemas || {}).forEach((eventName) => {
+    if (!events[eventName]) {
+      throw new Error(
+        `Game module ${file} has a schema for unhandled event "${eventName}"`
+      );
+    }
+  });
+
+  (descriptor.spectatorEvents || []).forEach((eventName) => {
+    if (!events[eventName]) {
+      throw new Error(
+        `Game module ${file} lets spectators send unhandled event "${eventName}"`
+      );
+    }
+  });
+
+  Object.entries(descriptor.wireSchemas || {}).forEach(
+    ([eventName, schema]) => {
+      try {
+        checkSchema(schema);
+      } catch (err) {
+        throw new Error(
+          `Game module ${file} has an invalid wire schema for "${eventName}": ${err.message}`
+        );
       }
-      return games.biggestTomato;
+    }
+  );
+
+  Object.entries(descriptor.rateLimits || {}).forEach(([eventName, limit]) => {
+    if (
+      !events[eventName] ||
+      !(limit.ratePerSec > 0) ||
+      !(limit.burst >= 1) ||
+      !["drop", "coalesce"].includes(limit.onExcess)
+    ) {
+      throw new Error(
+        `Game module ${file} has an invalid rate limit for "${eventName}"`
+      );
+    }
+  });
+}
+
+/** Every game event addresses a room; games add their own fields */
+const GAME_EVENT_BASE = {
+  gameId: { type: "id", required: true },
+  roomId: { type: "string", required: true, maxLength: 32 },
+};
 
-    case 2:
-      // Agar.io
-      if (!games.agarIo) {
-        games.agarIo = require("../sockets/games/agarIo.js");
+/**
+ * Discover every descriptor in sockets/games/ (one file per game).
+ */
+function loadDescriptors() {
+  if (descriptors) return descriptors;
+
+  const loaded = new Map();
+  fs.readdirSync(GAMES_DIR)
+    .filter((file) => file.endsWith(".js"))
+    .sort()
+    .forEach((file) => {
+      const descriptor = require(path.join(GAMES_DIR, file));
+      validateDescriptor(descriptor, file);
+
+      if (loaded.has(descriptor.id)) {
+        throw new Error(
+          `Game id ${descriptor.id} is registered by both ${
+            loaded.get(descriptor.id).name
+          } and ${file}`
+        );
       }
-      return games.agarIo;
+      loaded.set(descriptor.id, descriptor);
+      console.log(
+        `[Server] Registered game ${descriptor.id} -> ${descriptor.name}`
+      );
+    });
 
-    default:
-      throw new Error(`Game ID ${gameId} not recognized`);
+  descriptors = loaded;
+  return descriptors;
+}
+
+/**
+ * Returns the descriptor for a game id (number or numeric string), or null.
+ */
+function getGameDescriptor(gameId) {
+  const gameIdNumber = parseInt(gameId, 10);
+  return loadDescriptors().get(gameIdNumber) || null;
+}
+
+function loadGameModule(gameId) {
+  const descriptor = getGameDescriptor(gameId);
+  if (!descriptor) {
+    throw new Error(`Game ID ${gameId} not recognized`);
   }
+  return descriptor;
+}
+
+/**
+ * All registered descriptors, ordered by id.
+ */
+function listGames() {
+  return [...loadDescriptors().values()].sort((a, b) => a.id - b.id);
 }
 
 /**
  * Called after the countdown finishes. Each game
- * module's “startGame” logic is triggered.
+ * module's “start” hook is triggered, then the
+ * initial state is broadcast.
  */
-function initializeGame(gameId, game, room, io) {
-  const gameIdNumber = parseInt(gameId, 10);
-  const gameModule = loadGameModule(gameIdNumber);
+function initializeGame(gameId, game, room, io, games) {
+  const gameModule = loadGameModule(gameId);
 
-  // For demonstration, each game has a “startXxxRoom”
-  switch (gameIdNumber) {
-    case 1: // Biggest Tomato
-      console.log("initializeGame -> biggestTomato.startBiggestTomatoRoom");
-      gameModule.startBiggestTomatoRoom(game, room);
-      // Immediately broadcast the initial state
-      gameModule.broadcastGameState(io, gameId, room.id, room);
-      return;
+  console.log(`initializeGame -> ${gameModule.name}.start`);
 
-    case 2: // Agar.io clone
-      console.log("initializeGame -> agarIo.startAgarIoRoom");
-      gameModule.startAgarIoRoom(game, room, games);
+  // Some games set up asynchronously (e.g. Agar.io loads RBush)
+  Promise.resolve(gameModule.start(game, room, games))
+    .then(() => {
       // Immediately broadcast the initial state
-      gameModule.broadcastGameState(io, gameId, room.id, room);
-      return;
-
-    default:
-      throw new Error(`Game ID ${gameId} not recognized`);
-  }
+      gameModule.broadcast(io, gameId, room.id, room);
+    })
+    .catch((err) => {
+      console.error(
+        `[Server] initializeGame -> failed to start roomId=${room.id}:`,
+        err
+      );
+    });
 }
 
 /**
  * Generic function to broadcast game state for a given room.
  */
 function broadcastGameState(gameId, io, room) {
-  const gameIdNumber = parseInt(gameId, 10);
-  const gameModule = loadGameModule(gameIdNumber);
-
-  if (typeof gameModule.broadcastGameState === "function") {
-    gameModule.broadcastGameState(io, gameId, room.id, room);
-  }
+  const gameModule = loadGameModule(gameId);
+  gameModule.broadcast(io, gameId, room.id, room);
 }
 
 /**
  * Generic function to end a game (cleanup).
  */
 function endGame(gameId, game, room, games) {
-  const gameIdNumber = parseInt(gameId, 10);
-  const gameModule = loadGameModule(gameIdNumber);
-
-  // Each game has its own cleanup method:
-  // Agar.io => endAgarIoRoom
-  // BiggestTomato => endBiggestTomatoRoom
-  if (gameIdNumber === 2 && typeof gameModule.endAgarIoRoom === "function") {
-    // Agar.io
-    gameModule.endAgarIoRoom(game, room, games);
-  } else if (
-    gameIdNumber === 1 &&
-    typeof gameModule.endBiggestTomatoRoom === "function"
-  ) {
-    // Biggest Tomato
-    gameModule.endBiggestTomatoRoom(game, room, games);
-  } else {
-    console.log(`No specific endGame function found for gameId=${gameId}`);
-  }
+  const gameModule = loadGameModule(gameId);
+  gameModule.end(game, room, games);
+}
+
+/**
+ * Wire every game-specific socket event onto a freshly connected socket.
+ *
+ * Several games may handle the same event name, so one listener is
+ * registered per name and dispatched by the `gameId` in the payload.
+ * Payloads are checked against the descriptor's `eventSchemas[eventName]`
+ * (fields besides gameId/roomId) and rate limited by its
+ * `rateLimits[eventName]`; handlers throw GameError to reject. Binary
+ * payloads are decoded with the descriptor's `wireSchemas[eventName]`.
+ */
+function registerGameEvents(socket, io, games) {
+  const handlersByEvent = {};
+  listGames().forEach((descriptor) => {
+    Object.keys(descriptor.events || {}).forEach((eventName) => {
+      handlersByEvent[eventName] = true;
+    });
+  });
+
+  Object.keys(handlersByEvent).forEach((eventName) => {
+    // The schema and rate limit depend on which game the payload
+    // targets, so the payload is validated here rather than by onEvent
+    const rateLimit = (payload) => {
+      const descriptor = getGameDescriptor(payload && payload.gameId);
+      const limit = descriptor && (descriptor.rateLimits || {})[eventName];
+      return limit
+        ? { scope: descriptor.id, limit }
+        : { scope: "core", limit: getCoreLimit(eventName) };
+    };
+    const decode = (payload) =>
+      isBinaryPayload(payload)
+        ? decodeGameEvent(payload, (gameId) => {
+            const descriptor = getGameDescriptor(gameId);
+            return descriptor && (descriptor.wireSchemas || {})[eventName];
+          })
+        : payload;
+
+    onEvent(
+      socket,
+      eventName,
+      null,
+      (payload) => {
+        const { gameId } = validatePayload(
+          { type: "object", required: true, properties: GAME_EVENT_BASE },
+          payload
+        );
+
+        const descriptor = getGameDescriptor(gameId);
+        const handler = descriptor?.events?.[eventName];
+        if (!handler) {
+          throw new GameError("EVENT_NOT_SUPPORTED");
+        }
+
+        const data = validatePayload(
+          {
+            type: "object",
+            required: true,
+            properties: {
+              ...GAME_EVENT_BASE,
+              ...(descriptor.eventSchemas || {})[eventName],
+            },
+          },
+          payload
+        );
+
+        // Spectators are read-only, except for the descriptor's
+        // `spectatorEvents`
+        const game = games[gameId];
+        const room =
+          game && (game.activeRooms[data.roomId] || game.rooms[data.roomId]);
+        if (!room) {
+          throw new GameError("ROOM_NOT_FOUND");
+        }
+        if (
+          !(descriptor.spectatorEvents || []).includes(eventName) &&
+          (room.spectators || []).some((s) => s.socketId === socket.id)
+        ) {
+          throw new GameError("SPECTATOR_READ_ONLY");
+        }
+
+        data.socket = socket; // So we know who sent it
+        return handler(io, games, data);
+      },
+      { rateLimit, decode }
+    );
+  });
 }
 
 module.exports = {
+  getGameDescriptor,
+  listGames,
   initializeGame,
   broadcastGameState,
   endGame,
+  registerGameEvents,
 };
@@ -2,12 +2,66 @@
  * utils/gameUtils.js
  ************************************/
 
-const { initializeGame } = require("./gameRegistry");
+const { initializeGame, getGameDescriptor } = require("./gameRegistry");
+const { verifyPassword } = require("./authUtils");
+const { clearRoomForSockets } = require("./sessionStore");
+
+/** Room lifecycle states */
+const ROOM_STATES = {
+  WAITING: "waiting",
+  COUNTDOWN: "countdown",
+  ACTIVE: "active",
+  ENDED: "ended",
+};
+
+/** Allowed moves between ROOM_STATES */
+const ROOM_TRANSITIONS = {
+  waiting: ["countdown"],
+  countdown: ["waiting", "active"],
+  active: ["ended"],
+  ended: [],
+};
+
+const COUNTDOWN_SECONDS = parseInt(process.env.COUNTDOWN_SECONDS, 10) || 10;
+
+/** Default cap on read-only watchers per room */
+const MAX_SPECTATORS = parseInt(process.env.MAX_SPECTATORS_PER_ROOM, 10) || 10;
+
+/** public: listed in roomsList; unlisted/private: joined by invite code */
+const ROOM_VISIBILITIES = ["public", "unlisted", "private"];
+
+/** Invite codes avoid look-alike characters (0/O, 1/I) */
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INVITE_CODE_LENGTH = 6;
 
 function generateRoomId() {
   return Math.random().toString(36).substring(2, 9);
 }
 
+/**
+ * Returns a code that no lobby room of any game is using.
+ */
+function generateInviteCode(games) {
+  const inUse = new Set();
+  Object.values(games).forEach((game) => {
+    Object.values(game.rooms).forEach((room) => {
+      if (room.inviteCode) inUse.add(room.inviteCode);
+    });
+  });
+
+  let code;
+  do {
+    code = "";
+    for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+      code +=
+        INVITE_CODE_ALPHABET[
+          Math.floor(Math.random() * INVITE_CODE_ALPHABET.length)
+        ];
+    }
+  } while (inUse.has(code));
+  return code;
+}
+
 /**
  * Returns the game object, ensuring it has
  *  { rooms: {}, activeRooms: {} }
@@ -23,15 +77,94 @@ function getGame(gameId, games) {
   if (!games[gameId].activeRooms) {
     games[gameId].activeRooms = {};
   }
+  // Game modules address channels and records through game.id
+  if (games[gameId].id === undefined) {
+    games[gameId].id = gameId;
+  }
   return games[gameId];
 }
 
 /**
- * Ensure there's exactly one empty (lobby) room for the given game.
+ * Create a lobby room. Unlisted and private rooms get an invite code;
+ * `passwordHash` (from authUtils.hashPassword) is optional and only
+ * makes sense for those, so callers refuse it for public rooms.
+ */
+function createRoom(
+  gameId,
+  games,
+  { name, visibility = "public", passwordHash = null, createdBy = null } = {}
+) {
+  const game = getGame(gameId, games);
+  const newRoomId = generateRoomId();
+  const descriptor = getGameDescriptor(gameId);
+
+  const room = {
+    id: newRoomId,
+    name: name || `Room ${newRoomId}`,
+    maxPlayers: descriptor ? descriptor.maxPlayers : 4,
+    // Game-specific settings the host can change (hand size, ...)
+    options: { ...((descriptor && descriptor.defaultOptions) || {}) },
+    // playerId of the room owner; the first joiner becomes host
+    hostId: null,
+    // Kicked players can't come back into this room
+    kickedPlayerIds: [],
+    players: [],
+    spectators: [],
+    maxSpectators: MAX_SPECTATORS,
+    visibility,
+    inviteCode: visibility === "public" ? null : generateInviteCode(games),
+    passwordHash,
+    createdBy,
+    state: ROOM_STATES.WAITING,
+    isActive: false,
+  };
+  game.rooms[newRoomId] = room;
+  return room;
+}
+
+/**
+ * Only public rooms show up in roomsList.
+ */
+function isListedRoom(room) {
+  return !room.visibility || room.visibility === "public";
+}
+
+function findRoomByInviteCode(gameId, games, inviteCode) {
+  if (typeof inviteCode !== "string") return null;
+  const code = inviteCode.trim().toUpperCase();
+  const game = getGame(gameId, games);
+  return (
+    Object.values(game.rooms).find((room) => room.inviteCode === code) || null
+  );
+}
+
+/**
+ * Resolves to an error message if the credentials don't open this room,
+ * otherwise null. Public rooms are open to everyone.
+ */
+async function checkRoomAccess(room, { inviteCode, password } = {}) {
+  if (isListedRoom(room)) return null;
+
+  const code = typeof inviteCode === "string" ? inviteCode.trim() : "";
+  if (code.toUpperCase() !== room.inviteCode) {
+    return "This room requires a valid invite code.";
+  }
+  if (
+    room.passwordHash &&
+    (typeof password !== "string" ||
+      !(await verifyPassword(password, room.passwordHash)))
+  ) {
+    return "Wrong room password.";
+  }
+  return null;
+}
+
+/**
+ * Ensure there's exactly one empty public (lobby) room for the given game.
  */
 function ensureSingleEmptyRoom(gameId, games, io) {
   const game = getGame(gameId, games);
-  const roomsList = Object.values(game.rooms);
+  const roomsList = Object.values(game.rooms).filter(isListedRoom);
 
   const emptyRooms = roomsList.filter((room) => room.players.length === 0);
 
@@ -44,26 +177,99 @@ function ensureSingleEmptyRoom(gameId, games, io) {
 
   // If no empty room, create one
   if (emptyRooms.length === 0) {
-    const newRoomId = generateRoomId();
-    game.rooms[newRoomId] = {
-      id: newRoomId,
-      name: `Room ${newRoomId}`,
-      maxPlayers: 4,
-      players: [],
-      isActive: false,
-    };
+    createRoom(gameId, games);
   }
 }
 
+/**
+ * Keep the host seat filled: if the host is no longer in the room,
+ * hand it to the longest-seated player (or nobody if the room is empty).
+ * Returns true if the host changed.
+ */
+function assignHost(room) {
+  if (room.players.some((p) => p.playerId === room.hostId)) return false;
+  const previous = room.hostId;
+  room.hostId = room.players.length > 0 ? room.players[0].playerId : null;
+  return room.hostId !== previous;
+}
+
+function isRoomHost(room, playerId) {
+  return !!room.hostId && room.hostId === playerId;
+}
+
+/**
+ * Validate and apply host settings to a lobby room.
+ * settings = { name, maxPlayers, options } (all optional).
+ * Returns an error message, or null once applied.
+ */
+function applyRoomSettings(gameId, room, settings = {}) {
+  const descriptor = getGameDescriptor(gameId);
+  const { name, maxPlayers, options } = settings;
+
+  if (name !== undefined) {
+    if (typeof name !== "string" || !name.trim() || name.length > 40) {
+      return "Room name must be 1-40 characters.";
+    }
+  }
+  if (maxPlayers !== undefined) {
+    const min = Math.max(descriptor.minPlayers, room.players.length);
+    if (
+      !Number.isInteger(maxPlayers) ||
+      maxPlayers < min ||
+      maxPlayers > descriptor.maxPlayers
+    ) {
+      return `maxPlayers must be between ${min} and ${descriptor.maxPlayers}.`;
+    }
+  }
+  let nextOptions = room.options;
+  if (options !== undefined) {
+    if (!options || typeof options !== "object" || Array.isArray(options)) {
+      return "Invalid game options.";
+    }
+    nextOptions = { ...room.options, ...options };
+    const optionsError =
+      typeof descriptor.validateOptions === "function"
+        ? descriptor.validateOptions(nextOptions)
+        : null;
+    if (optionsError) return optionsError;
+  }
+
+  if (name !== undefined) room.name = name.trim();
+  if (maxPlayers !== undefined) room.maxPlayers = maxPlayers;
+  room.options = nextOptions;
+  return null;
+}
+
+/**
+ * After a player left a lobby room: delete it if it is now empty and
+ * either invite-only or a surplus public room, then make sure one
+ * empty public room remains.
+ */
+function removeRoomIfEmpty(gameId, roomId, games, io) {
+  const game = getGame(gameId, games);
+  const room = game.rooms[roomId];
+  if (!room || room.players.length > 0) return;
+  cancelCountdown(gameId, roomId, games, io, "roomEmpty");
+
+  const emptyPublicRooms = Object.values(game.rooms).filter(
+    (r) => isListedRoom(r) && r.players.length === 0
+  );
+  if (!isListedRoom(room) || emptyPublicRooms.length > 1) {
+    delete game.rooms[roomId];
+    console.log(`[Server] Deleted empty roomId=${roomId} in gameId=${gameId}`);
+  }
+  ensureSingleEmptyRoom(gameId, games, io);
+}
+
 function updateRoomCountForSingleUser(gameId, socket, games, io) {
   const game = getGame(gameId, games);
-  const roomsCount = Object.values(game.rooms).length;
+  const roomsCount = Object.values(game.rooms).filter(isListedRoom).length;
   socket.emit("activeRoomCountResponse", { gameId, roomsCount });
 }
 
 function updateRoomCountForEveryone(gameId, games, io) {
   const game = getGame(gameId, games);
-  const roomsCount = Object.values(game.rooms).length;
+  const roomsCount = Object.values(game.rooms).filter(isListedRoom).length;
   io.emit("activeRoomCountResponse", { gameId, roomsCount });
 }
 
@@ -75,9 +281,75 @@ function broadcastRooms(gameId, games, io) {
   if (!game) {
     return;
   }
-  const roomsArray = Object.values(game.rooms);
+  const roomsArray = Object.values(game.rooms)
+    .filter(isListedRoom)
+    .map((room) => serializeRoom(gameId, room));
   updateRoomCountForEveryone(gameId, games, io);
   io.to(gameId).emit("roomsList", roomsArray);
+
+  // Members of unlisted/private rooms never see them in roomsList,
+  // so every lobby room also gets its own state on its channel
+  Object.values(game.rooms).forEach((room) => {
+    io.to(`${gameId}-${room.id}`).emit(
+      "roomUpdated",
+      serializeRoom(gameId, room)
+    );
+  });
+}
+
+/**
+ * Channel that only a room's spectators join, next to the
+ * `${gameId}-${roomId}` channel they share with the players.
+ */
+function getSpectatorChannel(gameId, roomId) {
+  return `${gameId}-${roomId}-spectators`;
+}
+
+function isSpectator(room, socketId) {
+  return (room.spectators || []).some((s) => s.socketId === socketId);
+}
+
+/**
+ * Public view of a room (lobby or active) for roomsList and the REST API.
+ * Only whitelisted fields are copied so private data such as
+ * Biggest Tomato hands never leaves the server.
+ */
+function serializeRoom(gameId, room) {
+  const descriptor = getGameDescriptor(gameId);
+  const players = room.players.map((p) => ({
+    socketId: p.socketId,
+    playerId: p.playerId,
+    userName: p.userName,
+    isReady: !!p.isReady,
+    isDead: !!p.isDead,
+    isConnected: p.isConnected !== false,
+  }));
+
+  return {
+    id: room.id,
+    gameId: Number(gameId),
+    name: room.name,
+    visibility: room.visibility || "public",
+    hasPassword: !!room.passwordHash,
+    hostId: room.hostId || null,
+    options: room.options || {},
+    maxPlayers: room.maxPlayers,
+    playerCount: players.length,
+    readyCount: players.filter((p) => p.isReady).length,
+    players,
+    spectatorCount: (room.spectators || []).length,
+    maxSpectators: room.maxSpectators || MAX_SPECTATORS,
+    state: room.state || ROOM_STATES.WAITING,
+    countdown: room.state === ROOM_STATES.COUNTDOWN ? room.countdown : null,
+    isActive: !!room.isActive,
+    winner: room.winner || null,
+    winnerId: room.winnerId || null,
+    // Game-specific public details (turn, alive count, ...)
+    details:
+      descriptor && typeof descriptor.describeRoom === "function"
+        ? descriptor.describeRoom(room)
+        : {},
+  };
 }
 
 /**
@@ -89,56 +361,182 @@ function allPlayersReady(room) {
 }
 
 /**
- * Start a 10-second countdown, then
+ * Does the room have the game's minimum player count?
+ */
+function hasEnoughPlayers(gameId, room) {
+  const descriptor = getGameDescriptor(gameId);
+  const minPlayers = descriptor ? descriptor.minPlayers : 1;
+  return room.players.length >= minPlayers;
+}
+
+/**
+ * Move a room to `nextState` if ROOM_TRANSITIONS allows it.
+ * Returns false (and leaves the room untouched) otherwise. Once a room
+ * has ended its players' sessions no longer point at it.
+ */
+function transitionRoom(room, nextState) {
+  const current = room.state || ROOM_STATES.WAITING;
+  if (!ROOM_TRANSITIONS[current].includes(nextState)) {
+    console.log(
+      `[Server] transitionRoom -> roomId=${room.id} cannot go ${current} -> ${nextState}`
+    );
+    return false;
+  }
+  room.state = nextState;
+  room.isActive = nextState === ROOM_STATES.ACTIVE;
+  if (nextState === ROOM_STATES.ENDED) {
+    clearRoomForSockets(room.players.map((p) => p.socketId));
+  }
+  return true;
+}
+
+/**
+ * Start the room's single countdown, then
  * 1) Move the room from game.rooms -> game.activeRooms
  * 2) Call initializeGame()
+ *
+ * `forced` marks a host start: the countdown then survives players
+ * un-readying, but not dropping below the minimum player count.
+ * Returns false if the room can't start right now.
  */
-function startCountdown(gameId, roomId, games, io) {
+function startCountdown(gameId, roomId, games, io, { forced = false } = {}) {
   const uniqueRoomChannel = `${gameId}-${roomId}`;
-  let countdown = 10;
+  const game = getGame(gameId, games);
+  const room = game.rooms[roomId];
+  if (!room || !hasEnoughPlayers(gameId, room)) return false;
+  if (!transitionRoom(room, ROOM_STATES.COUNTDOWN)) return false;
+
+  room.countdown = COUNTDOWN_SECONDS;
+  room.countdownForced = forced;
 
   console.log(
     `[Server] startCountdown -> Starting countdown for room ${uniqueRoomChannel}`
   );
 
-  const intervalId = setInterval(() => {
-    countdown--;
-    console.log(`[Server] countdown: ${countdown}`);
-    io.to(uniqueRoomChannel).emit("countdownUpdate", { roomId, countdown });
-
-    if (countdown === 0) {
-      clearInterval(intervalId);
-
-      const game = getGame(gameId, games);
-      const lobbyRoom = game.rooms[roomId];
-      if (lobbyRoom) {
-        // Mark the room as active
-        lobbyRoom.isActive = true;
-
-        // Move the room from "rooms" to "activeRooms"
-        game.activeRooms[roomId] = lobbyRoom;
-        delete game.rooms[roomId];
-
-        // Inform the lobby channel that the game has started
-        io.to(uniqueRoomChannel).emit("gameStart", { roomId });
-        console.log(
-          `[Server] countdown -> Moved roomId=${roomId} to activeRooms for gameId=${gameId}`
-        );
-
-        // Actually initialize the game (deal cards, etc.)
-        initializeGame(gameId, game, lobbyRoom, io);
-      }
-    }
+  room.countdownTimer = setInterval(() => {
+    room.countdown--;
+    console.log(`[Server] countdown: ${room.countdown}`);
+    io.to(uniqueRoomChannel).emit("countdownUpdate", {
+      roomId,
+      countdown: room.countdown,
+    });
+
+    if (room.countdown > 0) return;
+
+    clearInterval(room.countdownTimer);
+    room.countdownTimer = null;
+
+    if (game.rooms[roomId] !== room) return;
+    if (!transitionRoom(room, ROOM_STATES.ACTIVE)) return;
+
+    room.startedAt = Date.now();
+    // Remember who started, even if they leave before the end
+    room.participants = room.players.map((p) => ({
+      playerId: p.playerId,
+      userName: p.userName,
+    }));
+
+    // Move the room from "rooms" to "activeRooms"
+    game.activeRooms[roomId] = room;
+    delete game.rooms[roomId];
+
+    // Inform the lobby channel that the game has started, with any
+    // game-specific setup clients need once (e.g. the Agar.io map)
+    const descriptor = getGameDescriptor(gameId);
+    io.to(uniqueRoomChannel).emit("gameStart", {
+      roomId,
+      ...(descriptor && typeof descriptor.describeStart === "function"
+        ? descriptor.describeStart(room)
+        : {}),
+    });
+    console.log(
+      `[Server] countdown -> Moved roomId=${roomId} to activeRooms for gameId=${gameId}`
+    );
+    broadcastRooms(gameId, games, io);
+
+    // Game modules broadcast (state, chat) through game.io
+    game.io = io;
+
+    // Actually initialize the game (deal cards, etc.)
+    initializeGame(gameId, game, room, io, games);
   }, 1000);
+
+  return true;
+}
+
+/**
+ * Stop a running countdown and put the room back to "waiting".
+ */
+function cancelCountdown(gameId, roomId, games, io, reason) {
+  const room = getGame(gameId, games).rooms[roomId];
+  if (!room || room.state !== ROOM_STATES.COUNTDOWN) return false;
+
+  clearInterval(room.countdownTimer);
+  room.countdownTimer = null;
+  room.countdown = null;
+  room.countdownForced = false;
+  transitionRoom(room, ROOM_STATES.WAITING);
+
+  io.to(`${gameId}-${roomId}`).emit("countdownCancelled", { roomId, reason });
+  console.log(
+    `[Server] cancelCountdown -> roomId=${roomId} back to waiting (${reason})`
+  );
+  return true;
+}
+
+/**
+ * Re-evaluate a lobby room after anything that affects readiness
+ * (ready toggles, joins, leaves, kicks, disconnects): start the
+ * countdown when everyone is ready, cancel it when that stops being true.
+ */
+function updateCountdown(gameId, roomId, games, io) {
+  const room = getGame(gameId, games).rooms[roomId];
+  if (!room) return;
+
+  const enough = hasEnoughPlayers(gameId, room);
+  const ready = allPlayersReady(room);
+
+  if (room.state === ROOM_STATES.COUNTDOWN) {
+    if (!enough) {
+      cancelCountdown(gameId, roomId, games, io, "notEnoughPlayers");
+    } else if (!ready && !room.countdownForced) {
+      cancelCountdown(gameId, roomId, games, io, "playerNotReady");
+    }
+    return;
+  }
+
+  if (room.state === ROOM_STATES.WAITING && enough && ready) {
+    console.log(
+      `[Server] All players ready -> Starting countdown for roomId=${roomId}`
+    );
+    startCountdown(gameId, roomId, games, io);
+  }
 }
 
 module.exports = {
+  ROOM_STATES,
+  ROOM_VISIBILITIES,
   generateRoomId,
   getGame,
+  createRoom,
+  isListedRoom,
+  findRoomByInviteCode,
+  checkRoomAccess,
   ensureSingleEmptyRoom,
+  assignHost,
+  isRoomHost,
+  applyRoomSettings,
+  removeRoomIfEmpty,
   updateRoomCountForSingleUser,
   updateRoomCountForEveryone,
   broadcastRooms,
+  getSpectatorChannel,
+  isSpectator,
+  serializeRoom,
   allPlayersReady,
+  hasEnoughPlayers,
+  transitionRoom,
   startCountdown,
+  cancelCountdown,
+  updateCountdown,
 };
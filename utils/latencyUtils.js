@@ -0,0 +1,53 @@
+/************************************
+ * utils/latencyUtils.js
+ ************************************/
+
+/**
+ * Round-trip time per socket. The server emits "latencyPing" every
+ * PING_INTERVAL_MS and the client just calls the ack callback; the
+ * smoothed RTT is kept in socket.data.latency.rttMs (null until the
+ * first reply) and sent along with the next ping.
+ */
+const PING_INTERVAL_MS = 2000;
+const PING_TIMEOUT_MS = 5000;
+/** Weight of a new sample in the moving average */
+const SMOOTHING = 0.2;
+
+function sendPing(socket) {
+  const latency = socket.data.latency;
+  const sentAt = Date.now();
+  socket
+    .timeout(PING_TIMEOUT_MS)
+    .emit("latencyPing", { sentAt, rttMs: latency.rttMs }, (err) => {
+      if (err) return; // No reply in time; keep the last estimate
+      const sample = Date.now() - sentAt;
+      latency.rttMs =
+        latency.rttMs === null
+          ? sample
+          : Math.round(latency.rttMs * (1 - SMOOTHING) + sample * SMOOTHING);
+      latency.samples++;
+    });
+}
+
+/**
+ * Start measuring `socket`'s RTT until it disconnects.
+ */
+function startLatencyProbe(socket) {
+  socket.data.latency = { rttMs: null, samples: 0 };
+  sendPing(socket);
+  const timer = setInterval(() => sendPing(socket), PING_INTERVAL_MS);
+  socket.once("disconnect", () => clearInterval(timer));
+}
+
+/**
+ * The socket's smoothed RTT in milliseconds (0 if not measured yet).
+ */
+function getRoundTripMs(socket) {
+  return (socket && socket.data.latency && socket.data.latency.rttMs) || 0;
+}
+
+module.exports = {
+  PING_INTERVAL_MS,
+  startLatencyProbe,
+  getRoundTripMs,
+};
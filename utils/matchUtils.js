@@ -0,0 +1,125 @@
+/************************************
+ * utils/matchUtils.js
+ ************************************/
+const { getGameDescriptor, listGames } = require("./gameRegistry");
+const { recordMatch, getPlayerHistory } = require("../models/matchModel");
+const { applyMatchRatings, getPlayerRating } = require("./ratingUtils");
+
+/**
+ * Set the winner of a room the same way for every game:
+ * room.winner is the display name, room.winnerId the stable playerId.
+ */
+function setMatchWinner(room, player) {
+  room.winner = player ? player.userName : null;
+  room.winnerId = player ? player.playerId : null;
+}
+
+/**
+ * Persist the result of a finished match (winner taken from
+ * setMatchWinner) and update ratings. Safe to call more than once
+ * per room (only the first call is recorded). Matches a player
+ * stopped early (room.endedEarly) are not recorded.
+ *
+ * @param {number|string} gameId
+ * @param {Object} room - The active room being ended.
+ * @param {Object} details - Game-specific details (card log, kills, ...)
+ */
+function recordFinishedMatch(gameId, room, details = {}) {
+  if (room.matchRecorded || room.endedEarly || !room.startedAt) return null;
+  room.matchRecorded = true;
+
+  const descriptor = getGameDescriptor(gameId);
+  const endedAt = Date.now();
+  // Everyone who started the match, including players who left mid-way
+  const winnerId = room.winnerId || null;
+  const participants = (room.participants || room.players).map((p) => ({
+    playerId: p.playerId,
+    userName: p.userName,
+    isWinner: winnerId !== null && p.playerId === winnerId,
+  }));
+
+  const match = recordMatch({
+    gameId: Number(gameId),
+    gameName: descriptor ? descriptor.name : null,
+    roomId: room.id,
+    roomName: room.name,
+    startedAt: room.startedAt,
+    endedAt,
+    durationMs: endedAt - room.startedAt,
+    participants,
+    winner: room.winner || null,
+    winnerId,
+    details,
+  });
+
+  console.log(
+    `[Server] Recorded match ${match.id} (gameId=${gameId}, winner=${
+      winnerId || "None"
+    })`
+  );
+
+  applyMatchRatings(match);
+  return match;
+}
+
+function emptyStats() {
+  return { matchesPlayed: 0, wins: 0, losses: 0, totalPlayTimeMs: 0 };
+}
+
+function addMatch(stats, match, playerId) {
+  const participant = match.participants.find((p) => p.playerId === playerId);
+  stats.matchesPlayed++;
+  if (participant.isWinner) stats.wins++;
+  else if (match.winner !== null) stats.losses++;
+  stats.totalPlayTimeMs += match.durationMs;
+}
+
+/**
+ * Aggregate stats for a player, overall and per game. Games may add
+ * their own counters (kills, eliminations, ...) via `playerMatchStats`.
+ */
+function getPlayerStats(playerId) {
+  const matches = getPlayerHistory(playerId, { limit: Infinity });
+  const overall = emptyStats();
+  const byGame = {};
+
+  listGames().forEach((descriptor) => {
+    byGame[descriptor.id] = {
+      name: descriptor.name,
+      rating: getPlayerRating(descriptor.id, playerId),
+      ...emptyStats(),
+    };
+  });
+
+  matches.forEach((match) => {
+    addMatch(overall, match, playerId);
+
+    if (!byGame[match.gameId]) {
+      byGame[match.gameId] = { name: match.gameName, ...emptyStats() };
+    }
+    const gameStats = byGame[match.gameId];
+    addMatch(gameStats, match, playerId);
+
+    const descriptor = getGameDescriptor(match.gameId);
+    if (descriptor && typeof descriptor.playerMatchStats === "function") {
+      const extra = descriptor.playerMatchStats(match, playerId);
+      Object.entries(extra).forEach(([key, value]) => {
+        gameStats[key] = (gameStats[key] || 0) + value;
+      });
+    }
+  });
+
+  const decided = overall.wins + overall.losses;
+  return {
+    playerId,
+    ...overall,
+    winRate: decided > 0 ? overall.wins / decided : 0,
+    byGame,
+  };
+}
+
+module.exports = {
+  setMatchWinner,
+  recordFinishedMatch,
+  getPlayerStats,
+};
@@ -0,0 +1,228 @@
+/************************************
+ * utils/matchmaker.js
+ ************************************/
+const { getGameDescriptor } = require("./gameRegistry");
+const { getPlayerRating } = require("./ratingUtils");
+const { createRoom, updateCountdown, broadcastRooms } = require("./gameUtils");
+
+/** How often queued players are grouped into rooms */
+const MATCHMAKER_INTERVAL_MS =
+  parseInt(process.env.MATCHMAKER_INTERVAL_MS, 10) || 2000;
+
+/** Rating band: starts narrow and widens the longer a player waits */
+const BASE_RATING_BAND = 100;
+const RATING_BAND_GROWTH_PER_SEC = 10;
+const MAX_RATING_BAND = 1000;
+
+/** After this long, start with fewer than the preferred room size */
+const FILL_TIMEOUT_MS = 15000;
+
+/** Recent queue wait times per game, used to estimate the wait */
+const WAIT_SAMPLES = 20;
+
+// queues[gameId] = [{ socketId, playerId, userName, rating,
+//                     preferredSize, enqueuedAt }]
+const queues = {};
+const recentWaits = {};
+
+let matchmakerTimer = null;
+
+function getQueue(gameId) {
+  const key = parseInt(gameId, 10);
+  if (!queues[key]) queues[key] = [];
+  return queues[key];
+}
+
+function ratingBand(entry, now) {
+  const waitedSec = (now - entry.enqueuedAt) / 1000;
+  return Math.min(
+    BASE_RATING_BAND + waitedSec * RATING_BAND_GROWTH_PER_SEC,
+    MAX_RATING_BAND
+  );
+}
+
+/**
+ * Add a socket to a game's queue. Returns an error message or null.
+ * preferredSize (optional) is the room size the player wants.
+ */
+function enqueue(socket, gameId, { preferredSize = null } = {}) {
+  const descriptor = getGameDescriptor(gameId);
+  if (!descriptor) return "Unknown game.";
+
+  if (
+    preferredSize !== null &&
+    (!Number.isInteger(preferredSize) ||
+      preferredSize < descriptor.minPlayers ||
+      preferredSize > descriptor.maxPlayers)
+  ) {
+    return `preferredSize must be between ${descriptor.minPlayers} and ${descriptor.maxPlayers}.`;
+  }
+
+  // One queue at a time
+  dequeue(socket.id);
+
+  const { userId, userName } = socket.data.user;
+  getQueue(descriptor.id).push({
+    socketId: socket.id,
+    playerId: userId,
+    userName,
+    rating: getPlayerRating(descriptor.id, userId),
+    preferredSize,
+    enqueuedAt: Date.now(),
+  });
+  console.log(
+    `[Server] queueForGame -> ${userName} queued for gameId=${descriptor.id}`
+  );
+  return null;
+}
+
+/**
+ * Remove a socket from whichever queue it is in. Returns true if it was queued.
+ */
+function dequeue(socketId) {
+  let removed = false;
+  Object.values(queues).forEach((queue) => {
+    const index = queue.findIndex((e) => e.socketId === socketId);
+    if (index !== -1) {
+      queue.splice(index, 1);
+      removed = true;
+    }
+  });
+  return removed;
+}
+
+function recordWait(gameId, waitMs) {
+  if (!recentWaits[gameId]) recentWaits[gameId] = [];
+  const samples = recentWaits[gameId];
+  samples.push(waitMs);
+  if (samples.length > WAIT_SAMPLES) samples.shift();
+}
+
+/**
+ * Average recent wait minus how long this entry has already waited,
+ * or null while we have no history for the game.
+ */
+function estimateWait(gameId, entry, now) {
+  const samples = recentWaits[gameId];
+  if (!samples || samples.length === 0) return null;
+  const average = samples.reduce((sum, ms) => sum + ms, 0) / samples.length;
+  return Math.max(0, Math.round(average - (now - entry.enqueuedAt)));
+}
+
+/**
+ * Pick a group around `anchor`: everyone whose rating is within both
+ * players' bands and whose size preference agrees.
+ */
+function findGroup(descriptor, anchor, queue, now) {
+  const targetSize = anchor.preferredSize || descriptor.maxPlayers;
+
+  const compatible = queue.filter((entry) => {
+    if (entry === anchor) return false;
+    const band = Math.min(ratingBand(anchor, now), ratingBand(entry, now));
+    return (
+      Math.abs(entry.rating - anchor.rating) <= band &&
+      (entry.preferredSize === null || entry.preferredSize === targetSize)
+    );
+  });
+
+  const group = [anchor, ...compatible].slice(0, targetSize);
+  if (group.length === targetSize) return group;
+
+  const waited = now - anchor.enqueuedAt;
+  if (waited >= FILL_TIMEOUT_MS && group.length >= descriptor.minPlayers) {
+    return group;
+  }
+  return null;
+}
+
+/**
+ * Seat a group in a fresh unlisted room, mark everyone ready and
+ * let the normal lobby countdown take it from there.
+ */
+function startMatch(gameId, group, io, games, seatPlayer, now) {
+  const room = createRoom(gameId, games, {
+    name: "Quick Match",
+    visibility: "unlisted",
+  });
+  room.isMatchmade = true;
+
+  group.forEach((entry) => {
+    const socket = io.sockets.sockets.get(entry.socketId);
+    if (!socket) return;
+
+    seatPlayer(socket, gameId, room);
+    const player = room.players.find((p) => p.socketId === socket.id);
+    if (player) player.isReady = true;
+
+    recordWait(gameId, now - entry.enqueuedAt);
+    socket.emit("matchFound", {
+      gameId,
+      roomId: room.id,
+      inviteCode: room.inviteCode,
+    });
+  });
+
+  console.log(
+    `[Server] matchmaker -> ${room.players.length} players matched into roomId=${room.id} (gameId=${gameId})`
+  );
+
+  updateCountdown(gameId, room.id, games, io);
+  broadcastRooms(gameId, games, io);
+}
+
+/**
+ * One matchmaking pass over every game's queue.
+ */
+function runMatchmaker(io, games, seatPlayer) {
+  const now = Date.now();
+
+  Object.entries(queues).forEach(([key, queue]) => {
+    const gameId = Number(key);
+    const descriptor = getGameDescriptor(gameId);
+
+    // Forget sockets that went away without a disconnect reaching us
+    for (let i = queue.length - 1; i >= 0; i--) {
+      if (!io.sockets.sockets.get(queue[i].socketId)) queue.splice(i, 1);
+    }
+
+    // Oldest players anchor first so nobody is starved
+    let index = 0;
+    while (index < queue.length) {
+      const group = findGroup(descriptor, queue[index], queue, now);
+      if (!group) {
+        index++;
+        continue;
+      }
+      group.forEach((entry) => queue.splice(queue.indexOf(entry), 1));
+      startMatch(gameId, group, io, games, seatPlayer, now);
+    }
+
+    queue.forEach((entry, index) => {
+      io.to(entry.socketId).emit("queueUpdate", {
+        gameId,
+        position: index + 1,
+        queueSize: queue.length,
+        waitedMs: now - entry.enqueuedAt,
+        estimatedWaitMs: estimateWait(gameId, entry, now),
+      });
+    });
+  });
+}
+
+/**
+ * Start the periodic matchmaking loop. `seatPlayer(socket, gameId, room)`
+ * puts a socket into a lobby room the same way joinRoom does.
+ */
+function startMatchmaker(io, games, seatPlayer) {
+  if (matchmakerTimer) return;
+  matchmakerTimer = setInterval(
+    () => runMatchmaker(io, games, seatPlayer),
+    MATCHMAKER_INTERVAL_MS
+  );
+}
+
+module.exports = {
+  enqueue,
+  dequeue,
+  startMatchmaker,
+};
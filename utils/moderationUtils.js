@@ -0,0 +1,163 @@
+/************************************
+ * utils/moderationUtils.js
+ ************************************/
+const moderationModel = require("../models/moderationModel");
+
+/** Words masked in chat and refused in names (BANNED_WORDS=a,b,c overrides) */
+const DEFAULT_BANNED_WORDS = ["fuck", "shit", "bitch", "cunt", "asshole"];
+const BANNED_WORDS = (
+  process.env.BANNED_WORDS || DEFAULT_BANNED_WORDS.join(",")
+)
+  .split(",")
+  .map((word) => word.trim().toLowerCase())
+  .filter(Boolean);
+
+/** Registered account names allowed to issue server-side mutes */
+const ADMIN_USER_NAMES = (process.env.ADMIN_USER_NAMES || "")
+  .split(",")
+  .map((name) => name.trim().toLowerCase())
+  .filter(Boolean);
+
+/** Display names: same rule for account names and guest names */
+const USER_NAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+
+const MAX_SERVER_MUTE_SECONDS = 7 * 24 * 60 * 60;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const bannedWordPattern = BANNED_WORDS.length
+  ? new RegExp(`\\b(${BANNED_WORDS.map(escapeRegExp).join("|")})\\b`, "gi")
+  : null;
+
+function containsBannedWord(text) {
+  if (!bannedWordPattern) return false;
+  bannedWordPattern.lastIndex = 0;
+  return bannedWordPattern.test(text);
+}
+
+/**
+ * Mask banned words with asterisks, keeping the rest of the text.
+ */
+function filterText(text) {
+  if (!bannedWordPattern) return text;
+  return text.replace(bannedWordPattern, (word) => "*".repeat(word.length));
+}
+
+/**
+ * Returns an error message, or null if `userName` is acceptable.
+ */
+function validateUserName(userName) {
+  if (typeof userName !== "string" || !USER_NAME_PATTERN.test(userName)) {
+    return "User name must be 3-20 letters, digits, '_' or '-'.";
+  }
+  if (containsBannedWord(userName.replace(/[_-]/g, " "))) {
+    return "That user name is not allowed.";
+  }
+  return null;
+}
+
+function isAdmin(user) {
+  return (
+    !!user &&
+    !user.isGuest &&
+    ADMIN_USER_NAMES.includes(String(user.userName).toLowerCase())
+  );
+}
+
+/**
+ * `kind` is "mutes" (hide their messages from me) or "blocks"
+ * (hide their messages from me and mine from them).
+ */
+function addToList(kind, userId, targetUserId) {
+  moderationModel.addToList(kind, userId, targetUserId);
+}
+
+function removeFromList(kind, userId, targetUserId) {
+  moderationModel.removeFromList(kind, userId, targetUserId);
+}
+
+function getModerationLists(userId) {
+  return {
+    muted: moderationModel.getList("mutes", userId),
+    blocked: moderationModel.getList("blocks", userId),
+  };
+}
+
+/**
+ * User ids whose chat messages `userId` must not see.
+ */
+function getHiddenSenders(userId) {
+  return new Set([
+    ...moderationModel.getList("mutes", userId),
+    ...moderationModel.getList("blocks", userId),
+    ...moderationModel.findListOwners("blocks", userId),
+  ]);
+}
+
+/**
+ * User ids that must not receive a message sent by `senderId`.
+ */
+function getHiddenRecipients(senderId) {
+  return new Set([
+    ...moderationModel.findListOwners("mutes", senderId),
+    ...moderationModel.findListOwners("blocks", senderId),
+    ...moderationModel.getList("blocks", senderId),
+  ]);
+}
+
+/**
+ * The user's current server-side mute, or null (expired mutes are cleared).
+ */
+function getActiveServerMute(userId) {
+  const mute = moderationModel.getServerMute(userId);
+  if (!mute) return null;
+  if (mute.until <= Date.now()) {
+    moderationModel.clearServerMute(userId);
+    return null;
+  }
+  return mute;
+}
+
+/**
+ * Mute `userId` everywhere for `durationSeconds`. Returns the mute entry,
+ * or an error message string.
+ */
+function serverMute(userId, { durationSeconds, reason = "", mutedBy }) {
+  if (
+    !Number.isInteger(durationSeconds) ||
+    durationSeconds < 1 ||
+    durationSeconds > MAX_SERVER_MUTE_SECONDS
+  ) {
+    return `durationSeconds must be between 1 and ${MAX_SERVER_MUTE_SECONDS}.`;
+  }
+  const mute = {
+    userId,
+    until: Date.now() + durationSeconds * 1000,
+    reason: String(reason).slice(0, 200),
+    mutedBy,
+  };
+  moderationModel.setServerMute(mute);
+  return mute;
+}
+
+function clearServerMute(userId) {
+  moderationModel.clearServerMute(userId);
+}
+
+module.exports = {
+  USER_NAME_PATTERN,
+  containsBannedWord,
+  filterText,
+  validateUserName,
+  isAdmin,
+  addToList,
+  removeFromList,
+  getModerationLists,
+  getHiddenSenders,
+  getHiddenRecipients,
+  getActiveServerMute,
+  serverMute,
+  clearServerMute,
+};
@@ -0,0 +1,239 @@
+/************************************
+ * utils/rateLimiter.js
+ ************************************/
+const { GameError } = require("./errorCodes");
+
+/**
+ * Token bucket per socket and event: `ratePerSec` tokens refill up to
+ * `burst`. Excess input is dropped, or with onExcess "coalesce" only the
+ * newest payload is kept and handled once a token is available.
+ * Games override these per event with a descriptor `rateLimits` table.
+ */
+const DEFAULT_LIMIT = { ratePerSec: 10, burst: 20, onExcess: "drop" };
+const CORE_LIMITS = {
+  "chat message": { ratePerSec: 1, burst: 5, onExcess: "drop" },
+  "user name": { ratePerSec: 0.5, burst: 3, onExcess: "drop" },
+  createRoom: { ratePerSec: 0.5, burst: 3, onExcess: "drop" },
+  requestGameState: { ratePerSec: 2, burst: 5, onExcess: "coalesce" },
+  // Shared by every join that carries a room password (each try hashes)
+  "room password": { ratePerSec: 1, burst: 2, onExcess: "drop" },
+};
+
+/** Flood protection: warn after this many excess events in the window... */
+const VIOLATIONS_PER_WARNING =
+  parseInt(process.env.RATE_LIMIT_VIOLATIONS_PER_WARNING, 10) || 50;
+const VIOLATION_WINDOW_MS = 10000;
+/** ...and disconnect on the warning after this many */
+const MAX_WARNINGS = parseInt(process.env.RATE_LIMIT_MAX_WARNINGS, 10) || 3;
+
+// counters[scope][eventName] = { allowed, dropped, coalesced }, where
+// scope is "core" or a game id
+const counters = {};
+const offenders = { warnings: 0, disconnects: 0 };
+
+function getCoreLimit(eventName) {
+  return CORE_LIMITS[eventName] || DEFAULT_LIMIT;
+}
+
+function count(scope, eventName, field) {
+  if (!counters[scope]) counters[scope] = {};
+  if (!counters[scope][eventName]) {
+    counters[scope][eventName] = { allowed: 0, dropped: 0, coalesced: 0 };
+  }
+  counters[scope][eventName][field]++;
+}
+
+/**
+ * Per-socket limiter state, created on first use and torn down on
+ * disconnect (pending coalesced input is discarded).
+ */
+function getSocketState(socket) {
+  if (!socket.data.rateLimit) {
+    const state = {
+      buckets: new Map(),
+      violations: 0,
+      windowStartedAt: Date.now(),
+      warnings: 0,
+    };
+    socket.data.rateLimit = state;
+    socket.once("disconnect", () => {
+      state.buckets.forEach((bucket) => clearTimeout(bucket.timer));
+    });
+  }
+  return socket.data.rateLimit;
+}
+
+function refill(bucket, limit, now) {
+  const elapsedSec = (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(
+    limit.burst,
+    bucket.tokens + elapsedSec * limit.ratePerSec
+  );
+  bucket.updatedAt = now;
+}
+
+function recordViolation(socket, state) {
+  const now = Date.now();
+  if (now - state.windowStartedAt > VIOLATION_WINDOW_MS) {
+    state.windowStartedAt = now;
+    state.violations = 0;
+  }
+  state.violations++;
+  if (state.violations < VIOLATIONS_PER_WARNING) return;
+
+  state.violations = 0;
+  state.warnings++;
+  offenders.warnings++;
+  if (state.warnings > MAX_WARNINGS) {
+    offenders.disconnects++;
+    console.log(
+      `[Server] rateLimiter -> disconnecting ${socket.id} for flooding`
+    );
+    socket.emit("rateLimitDisconnect", { reason: "flooding" });
+    socket.disconnect(true);
+    return;
+  }
+  console.log(
+    `[Server] rateLimiter -> warning ${state.warnings}/${MAX_WARNINGS} for ${socket.id}`
+  );
+  socket.emit("rateLimitWarning", {
+    warnings: state.warnings,
+    maxWarnings: MAX_WARNINGS,
+  });
+}
+
+/**
+ * Run `run()` if the socket has a token for `eventName`. Otherwise drop
+ * it (calling `reject(error)`) or, when coalescing, hold it as the
+ * pending input (a held input that gets replaced is rejected). Events
+ * naming the same `bucket` share its tokens and counters.
+ */
+function limitEvent(
+  socket,
+  eventName,
+  { scope = "core", limit, bucket: bucketName = eventName },
+  run,
+  reject
+) {
+  const state = getSocketState(socket);
+  const key = `${scope}:${bucketName}`;
+  const now = Date.now();
+
+  let bucket = state.buckets.get(key);
+  if (!bucket) {
+    bucket = {
+      tokens: limit.burst,
+      updatedAt: now,
+      pending: null,
+      timer: null,
+    };
+    state.buckets.set(key, bucket);
+  }
+  refill(bucket, limit, now);
+
+  if (bucket.tokens >= 1 && !bucket.pending) {
+    bucket.tokens--;
+    count(scope, bucketName, "allowed");
+    run();
+    return;
+  }
+
+  const error = new GameError("RATE_LIMITED");
+
+  if (limit.onExcess !== "coalesce") {
+    count(scope, bucketName, "dropped");
+    recordViolation(socket, state);
+    reject(error);
+    return;
+  }
+
+  // Holding one input until the next token is normal; only inputs that
+  // get superseded before they ran count against the sender
+  count(scope, bucketName, "coalesced");
+  if (bucket.pending) {
+    recordViolation(socket, state);
+    bucket.pending.reject(error);
+  }
+  bucket.pending = { run, reject };
+
+  if (!bucket.timer) {
+    const waitMs = ((1 - bucket.tokens) / limit.ratePerSec) * 1000;
+    bucket.timer = setTimeout(
+      () => {
+        bucket.timer = null;
+        refill(bucket, limit, Date.now());
+        bucket.tokens = Math.max(0, bucket.tokens - 1);
+        const { run: runPending } = bucket.pending;
+        bucket.pending = null;
+        if (socket.connected) runPending();
+      },
+      Math.max(0, Math.ceil(waitMs))
+    );
+  }
+}
+
+/**
+ * Express middleware giving each client IP one token bucket, shared by
+ * every route it guards. Requests without a token get a 429; counters
+ * are kept under the "http" scope as `name`.
+ */
+function limitRequests(name, limit) {
+  const buckets = new Map();
+  // A bucket left alone this long is full again and can be forgotten
+  const idleMs = (limit.burst / limit.ratePerSec) * 1000;
+  let sweptAt = Date.now();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    if (now - sweptAt > idleMs) {
+      sweptAt = now;
+      buckets.forEach((bucket, ip) => {
+        if (now - bucket.updatedAt > idleMs) buckets.delete(ip);
+      });
+    }
+
+    let bucket = buckets.get(req.ip);
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updatedAt: now };
+      buckets.set(req.ip, bucket);
+    }
+    refill(bucket, limit, now);
+
+    if (bucket.tokens < 1) {
+      count("http", name, "dropped");
+      const waitSec = Math.ceil((1 - bucket.tokens) / limit.ratePerSec);
+      res.set("Retry-After", String(waitSec));
+      return res
+        .status(429)
+        .json({ error: new GameError("RATE_LIMITED").message });
+    }
+    bucket.tokens--;
+    count("http", name, "allowed");
+    next();
+  };
+}
+
+/**
+ * Configured limits and live counters, for tuning.
+ */
+function getRateLimitStats() {
+  return {
+    defaults: DEFAULT_LIMIT,
+    core: CORE_LIMITS,
+    flood: {
+      violationsPerWarning: VIOLATIONS_PER_WARNING,
+      windowMs: VIOLATION_WINDOW_MS,
+      maxWarnings: MAX_WARNINGS,
+      ...offenders,
+    },
+    counters,
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  getCoreLimit,
+  limitEvent,
+  limitRequests,
+  getRateLimitStats,
+};
@@ -0,0 +1,120 @@
+/************************************
+ * utils/ratingUtils.js
+ ************************************/
+const {
+  getGameRatings,
+  getRating,
+  setRating,
+} = require("../models/ratingModel");
+const { isGuestId } = require("./authUtils");
+
+/** Elo parameters */
+const INITIAL_RATING = 1000;
+const K_FACTOR = 32;
+
+/**
+ * Expected score of a player rated `rating` against `opponentRating`.
+ */
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+function getPlayerRating(gameId, playerId) {
+  const entry = getRating(gameId, playerId);
+  return entry ? entry.rating : INITIAL_RATING;
+}
+
+/**
+ * Rating changes when a player rated `winnerRating` beats players
+ * rated `loserRatings`. Multiplayer matches are scored as the winner
+ * beating every other participant, each pairing at K/n so a 4-player
+ * win isn't worth three times a 1v1. Both sides of a pairing move by
+ * the same amount, so the changes always add up to zero.
+ *
+ * @returns {{ winnerDelta: number, loserDeltas: number[] }}
+ */
+function computeRatingChanges(winnerRating, loserRatings) {
+  const k = K_FACTOR / loserRatings.length;
+  const loserDeltas = loserRatings.map(
+    (loserRating) => -k * (1 - expectedScore(winnerRating, loserRating))
+  );
+  const winnerDelta = -loserDeltas.reduce((sum, delta) => sum + delta, 0);
+  return { winnerDelta, loserDeltas };
+}
+
+/**
+ * Update Elo ratings from a recorded match (see computeRatingChanges).
+ * Only registered players are rated: guests are left out of the match,
+ * and a match won by a guest changes nothing.
+ */
+function applyMatchRatings(match) {
+  const { gameId, winnerId } = match;
+  const participants = match.participants.filter((p) => !isGuestId(p.playerId));
+  if (!winnerId || participants.length < 2) return;
+
+  const winner = participants.find((p) => p.playerId === winnerId);
+  if (!winner) return;
+  const losers = participants.filter((p) => p.playerId !== winnerId);
+
+  const winnerRating = getPlayerRating(gameId, winner.playerId);
+  const loserRatings = losers.map((loser) =>
+    getPlayerRating(gameId, loser.playerId)
+  );
+  const { winnerDelta, loserDeltas } = computeRatingChanges(
+    winnerRating,
+    loserRatings
+  );
+
+  const updates = losers.map((loser, i) => ({
+    player: loser,
+    rating: loserRatings[i] + loserDeltas[i],
+    won: false,
+  }));
+  updates.push({
+    player: winner,
+    rating: winnerRating + winnerDelta,
+    won: true,
+  });
+
+  updates.forEach(({ player, rating, won }) => {
+    const previous = getRating(gameId, player.playerId) || {
+      matches: 0,
+      wins: 0,
+      losses: 0,
+    };
+    setRating(gameId, {
+      playerId: player.playerId,
+      userName: player.userName,
+      rating: Math.round(rating),
+      matches: previous.matches + 1,
+      wins: previous.wins + (won ? 1 : 0),
+      losses: previous.losses + (won ? 0 : 1),
+      updatedAt: match.endedAt,
+    });
+  });
+
+  console.log(
+    `[Server] Updated ratings for gameId=${gameId} (${participants.length} players)`
+  );
+}
+
+/**
+ * Top registered players for a game, highest rating first.
+ */
+function getLeaderboard(gameId, limit = 10) {
+  return Object.values(getGameRatings(gameId))
+    .filter((entry) => !isGuestId(entry.playerId))
+    .sort((a, b) => b.rating - a.rating || b.wins - a.wins)
+    .slice(0, limit)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+module.exports = {
+  INITIAL_RATING,
+  K_FACTOR,
+  expectedScore,
+  computeRatingChanges,
+  getPlayerRating,
+  applyMatchRatings,
+  getLeaderboard,
+};
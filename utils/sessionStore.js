@@ -0,0 +1,143 @@
+/************************************
+ * utils/sessionStore.js
+ ************************************/
+const crypto = require("crypto");
+
+/** How long a dropped player's slot is held before they are removed */
+const SESSION_GRACE_MS = parseInt(process.env.SESSION_GRACE_MS, 10) || 30000;
+
+// sessionToken -> session
+const sessions = new Map();
+// socketId -> sessionToken (only for currently bound sockets)
+const tokensBySocket = new Map();
+
+/**
+ * Issue (or return the existing) session for a socket.
+ *
+ * session = { token, userId, userName, socketId, gameId, roomId,
+ *             disconnectedAt, graceTimer }
+ */
+function createSession(socketId, { userId, userName }) {
+  const existing = getSessionForSocket(socketId);
+  if (existing) {
+    existing.userName = userName;
+    return existing;
+  }
+
+  const session = {
+    token: crypto.randomBytes(24).toString("hex"),
+    userId,
+    userName,
+    socketId,
+    gameId: null,
+    roomId: null,
+    disconnectedAt: null,
+    graceTimer: null,
+  };
+  sessions.set(session.token, session);
+  tokensBySocket.set(socketId, session.token);
+  return session;
+}
+
+function getSession(token) {
+  if (typeof token !== "string") return null;
+  return sessions.get(token) || null;
+}
+
+function getSessionForSocket(socketId) {
+  const token = tokensBySocket.get(socketId);
+  return token ? sessions.get(token) || null : null;
+}
+
+/**
+ * Remember which room the session's player sits in.
+ */
+function attachRoom(socketId, gameId, roomId) {
+  const session = getSessionForSocket(socketId);
+  if (!session) return null;
+  session.gameId = gameId;
+  session.roomId = roomId;
+  return session;
+}
+
+function clearRoom(socketId) {
+  const session = getSessionForSocket(socketId);
+  if (!session) return;
+  session.gameId = null;
+  session.roomId = null;
+}
+
+/**
+ * Forget the room of every session, bound or held, whose player is on
+ * one of `socketIds` (the seats of a match that has ended).
+ */
+function clearRoomForSockets(socketIds) {
+  const ids = new Set(socketIds);
+  sessions.forEach((session) => {
+    if (!ids.has(session.socketId)) return;
+    session.gameId = null;
+    session.roomId = null;
+  });
+}
+
+/**
+ * Called on disconnect. If the session is in a room, keep the slot for
+ * SESSION_GRACE_MS and call onExpire(session) if nobody resumes it.
+ * Returns true when the slot is being held.
+ */
+function holdSession(socketId, onExpire) {
+  const session = getSessionForSocket(socketId);
+  tokensBySocket.delete(socketId);
+  if (!session) return false;
+
+  if (session.roomId === null) {
+    sessions.delete(session.token);
+    return false;
+  }
+
+  session.disconnectedAt = Date.now();
+  session.graceTimer = setTimeout(() => {
+    sessions.delete(session.token);
+    console.log(
+      `[Server] Session grace expired for ${session.userName} (socketId=${session.socketId})`
+    );
+    onExpire(session);
+  }, SESSION_GRACE_MS);
+
+  return true;
+}
+
+/**
+ * Rebind a session to a new socket owned by the same user. Returns
+ * { session, oldSocketId } or null if the token is unknown, expired or
+ * belongs to someone else.
+ */
+function resumeSession(token, newSocketId, userId) {
+  const session = getSession(token);
+  if (!session || session.userId !== userId) return null;
+
+  if (session.graceTimer) {
+    clearTimeout(session.graceTimer);
+    session.graceTimer = null;
+  }
+
+  const oldSocketId = session.socketId;
+  tokensBySocket.delete(oldSocketId);
+  tokensBySocket.set(newSocketId, session.token);
+  session.socketId = newSocketId;
+  session.disconnectedAt = null;
+
+  return { session, oldSocketId };
+}
+
+module.exports = {
+  SESSION_GRACE_MS,
+  createSession,
+  getSession,
+  getSessionForSocket,
+  attachRoom,
+  clearRoom,
+  clearRoomForSockets,
+  holdSession,
+  resumeSession,
+};
@@ -0,0 +1,301 @@
+/************************************
+ * utils/wireProtocol.js
+ ************************************/
+
+/**
+ * Opt-in binary encoding for real-time game messages. A client asks for
+ * it at connect time (`io(url, { auth: { wireFormat: "binary" } })`);
+ * everyone else keeps getting plain JSON.
+ *
+ * Messages are encoded against a schema a game declares per event in its
+ * descriptor's `wireSchemas`. A schema is one of:
+ *
+ *   "bool" | "uint" | "int" | "float" | "string"
+ *   "coord"                       a position, quantized to 1/COORD_SCALE
+ *   { array: schema }
+ *   { object: [[key, schema], ...] }
+ *
+ * Objects start with a bitmask of the keys present, so null/undefined
+ * keys cost nothing and decode as missing. Keys outside the schema are
+ * not sent. Integers are varints ("int" zigzag-encoded).
+ *
+ * Binary game events from the client carry the gameId and roomId first,
+ * then the payload encoded with that game's schema for the event.
+ */
+const WIRE_FORMATS = ["json", "binary"];
+
+/** Positions go out as multiples of 1/COORD_SCALE world units */
+const COORD_SCALE = 10;
+/** Presence masks are 32-bit */
+const MAX_OBJECT_KEYS = 32;
+
+const SCALAR_TYPES = ["bool", "uint", "int", "float", "string", "coord"];
+
+/**
+ * Throws if `schema` is not a valid wire schema.
+ */
+function checkSchema(schema, path = "schema") {
+  if (typeof schema === "string") {
+    if (!SCALAR_TYPES.includes(schema)) {
+      throw new Error(`${path} has unknown type "${schema}"`);
+    }
+    return;
+  }
+  if (schema && schema.array) {
+    checkSchema(schema.array, `${path}[]`);
+    return;
+  }
+  if (schema && Array.isArray(schema.object)) {
+    if (schema.object.length > MAX_OBJECT_KEYS) {
+      throw new Error(`${path} has more than ${MAX_OBJECT_KEYS} keys`);
+    }
+    schema.object.forEach(([key, keySchema]) =>
+      checkSchema(keySchema, `${path}.${key}`)
+    );
+    return;
+  }
+  throw new Error(`${path} is not a wire schema`);
+}
+
+/**
+ * The wire format a connecting socket asked for; JSON unless it asked
+ * for a known one.
+ */
+function negotiateWireFormat(handshake) {
+  const requested = handshake.auth && handshake.auth.wireFormat;
+  return WIRE_FORMATS.includes(requested) ? requested : "json";
+}
+
+/********************************************
+ * Encoding
+ ********************************************/
+
+function writeUint(bytes, value) {
+  let rest = Math.max(0, Math.floor(value));
+  while (rest >= 0x80) {
+    bytes.push((rest % 0x80) | 0x80);
+    rest = Math.floor(rest / 0x80);
+  }
+  bytes.push(rest);
+}
+
+function writeInt(bytes, value) {
+  const rounded = Math.round(value);
+  writeUint(bytes, rounded < 0 ? -2 * rounded - 1 : 2 * rounded);
+}
+
+function writeValue(bytes, schema, value) {
+  switch (schema) {
+    case "bool":
+      bytes.push(value ? 1 : 0);
+      return;
+    case "uint":
+      writeUint(bytes, value);
+      return;
+    case "int":
+      writeInt(bytes, value);
+      return;
+    case "coord":
+      writeInt(bytes, value * COORD_SCALE);
+      return;
+    case "float": {
+      const buffer = Buffer.alloc(4);
+      buffer.writeFloatLE(value);
+      bytes.push(...buffer);
+      return;
+    }
+    case "string": {
+      const buffer = Buffer.from(String(value), "utf8");
+      writeUint(bytes, buffer.length);
+      bytes.push(...buffer);
+      return;
+    }
+    default:
+      break;
+  }
+
+  if (schema.array) {
+    writeUint(bytes, value.length);
+    value.forEach((item) => writeValue(bytes, schema.array, item));
+    return;
+  }
+
+  let mask = 0;
+  const present = [];
+  schema.object.forEach(([key, keySchema], index) => {
+    if (value[key] === undefined || value[key] === null) return;
+    mask += 2 ** index;
+    present.push([keySchema, value[key]]);
+  });
+  writeUint(bytes, mask);
+  present.forEach(([keySchema, keyValue]) =>
+    writeValue(bytes, keySchema, keyValue)
+  );
+}
+
+/**
+ * Encode `value` with `schema` into a Buffer.
+ */
+function encodeMessage(schema, value) {
+  const bytes = [];
+  writeValue(bytes, schema, value);
+  return Buffer.from(bytes);
+}
+
+/********************************************
+ * Decoding
+ ********************************************/
+
+function createReader(buffer) {
+  const reader = { buffer, offset: 0 };
+  reader.need = (length) => {
+    if (reader.offset + length > buffer.length) {
+      throw new Error("Truncated message");
+    }
+  };
+  return reader;
+}
+
+function readUint(reader) {
+  let value = 0;
+  let scale = 1;
+  for (;;) {
+    reader.need(1);
+    const byte = reader.buffer[reader.offset++];
+    value += (byte & 0x7f) * scale;
+    if (byte < 0x80) return value;
+    scale *= 0x80;
+    if (scale > Number.MAX_SAFE_INTEGER) throw new Error("Varint too long");
+  }
+}
+
+function readInt(reader) {
+  const zigzag = readUint(reader);
+  return zigzag % 2 === 1 ? -(zigzag + 1) / 2 : zigzag / 2;
+}
+
+function readValue(reader, schema) {
+  switch (schema) {
+    case "bool":
+      reader.need(1);
+      return reader.buffer[reader.offset++] !== 0;
+    case "uint":
+      return readUint(reader);
+    case "int":
+      return readInt(reader);
+    case "coord":
+      return readInt(reader) / COORD_SCALE;
+    case "float": {
+      reader.need(4);
+      const value = reader.buffer.readFloatLE(reader.offset);
+      reader.offset += 4;
+      return value;
+    }
+    case "string": {
+      const length = readUint(reader);
+      reader.need(length);
+      const value = reader.buffer.toString(
+        "utf8",
+        reader.offset,
+        reader.offset + length
+      );
+      reader.offset += length;
+      return value;
+    }
+    default:
+      break;
+  }
+
+  if (schema.array) {
+    const length = readUint(reader);
+    // Every item takes at least one byte
+    reader.need(length);
+    const items = [];
+    for (let i = 0; i < length; i++) {
+      items.push(readValue(reader, schema.array));
+    }
+    return items;
+  }
+
+  const mask = readUint(reader);
+  const value = {};
+  schema.object.forEach(([key, keySchema], index) => {
+    if (Math.floor(mask / 2 ** index) % 2 === 1) {
+      value[key] = readValue(reader, keySchema);
+    }
+  });
+  return value;
+}
+
+/**
+ * Decode a Buffer produced by encodeMessage with the same schema.
+ * Throws on truncated input.
+ */
+function decodeMessage(schema, buffer) {
+  return readValue(createReader(buffer), schema);
+}
+
+/**
+ * Whether a received payload is binary (socket.io hands those over as
+ * Buffers).
+ */
+function isBinaryPayload(payload) {
+  return Buffer.isBuffer(payload) || payload instanceof ArrayBuffer;
+}
+
+/**
+ * Encode a game event the way a binary client sends it (the inverse of
+ * decodeGameEvent).
+ */
+function encodeGameEvent(gameId, roomId, schema, body) {
+  const bytes = [];
+  writeUint(bytes, gameId);
+  writeValue(bytes, "string", roomId);
+  writeValue(bytes, schema, body);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode a binary game event: gameId and roomId, then the body encoded
+ * with the schema `schemaFor(gameId)` returns. Throws if the game has no
+ * schema for it or the bytes don't match.
+ */
+function decodeGameEvent(payload, schemaFor) {
+  const reader = createReader(Buffer.from(payload));
+  const gameId = readUint(reader);
+  const roomId = readValue(reader, "string");
+
+  const schema = schemaFor(gameId);
+  if (!schema) throw new Error(`No wire schema for game ${gameId}`);
+  const body = readValue(reader, schema);
+  return { ...body, gameId, roomId };
+}
+
+/**
+ * Emit `eventName` to one socket, binary-encoded if it negotiated that
+ * and `wireSchemas` has a schema for the event.
+ */
+function emitToSocket(io, socketId, eventName, payload, wireSchemas = {}) {
+  const socket = io.sockets.sockets.get(socketId);
+  if (!socket) return;
+
+  const schema = wireSchemas[eventName];
+  if (schema && socket.data.wireFormat === "binary") {
+    socket.emit(eventName, encodeMessage(schema, payload));
+  } else {
+    socket.emit(eventName, payload);
+  }
+}
+
+module.exports = {
+  WIRE_FORMATS,
+  COORD_SCALE,
+  checkSchema,
+  negotiateWireFormat,
+  encodeMessage,
+  decodeMessage,
+  isBinaryPayload,
+  encodeGameEvent,
+  decodeGameEvent,
+  emitToSocket,
+};